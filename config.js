@@ -12,7 +12,21 @@ const GOOGLE_DRIVE_API = {
     'https://www.googleapis.com/auth/drive',
     'https://www.googleapis.com/auth/drive.file'
   ],
-  API_VERSION: 'v3'
+  API_VERSION: 'v3',
+  FOLDER_MIME_TYPE: 'application/vnd.google-apps.folder',
+  // Roles que se consideran gestores de una unidad (vista drive_managers)
+  MANAGER_ROLES: ['organizer', 'fileOrganizer'],
+  // Roles y tipos admitidos al gestionar miembros de una unidad
+  MEMBER_ROLES: ['organizer', 'fileOrganizer', 'writer', 'commenter', 'reader'],
+  MEMBER_TYPES: ['user', 'group'],
+  // Restricciones de unidad modificables (todas booleanas)
+  RESTRICTION_KEYS: [
+    'adminManagedRestrictions',
+    'copyRequiresWriterPermission',
+    'domainUsersOnly',
+    'driveMembersOnly',
+    'sharingFoldersRequiresOrganizerPermission'
+  ]
 };
 
 // Configuración del backend de sincronización
@@ -20,7 +34,9 @@ const SERVER = {
   PORT: process.env.PORT || 3001,
   VERSION: '2.0.0',
   NAME: 'Google Drive Sync Backend',
-  ENVIRONMENT: process.env.NODE_ENV || 'development'
+  ENVIRONMENT: process.env.NODE_ENV || 'development',
+  // Intervalo del comentario keep-alive en /sync/events para que proxies y balanceadores no corten el stream
+  SSE_KEEPALIVE_SECONDS: parseInt(process.env.SSE_KEEPALIVE_SECONDS) || 25
 };
 
 // Configuración de sincronización
@@ -34,22 +50,73 @@ const SYNC = {
   // Número máximo de reintentos en caso de error
   MAX_RETRIES: parseInt(process.env.SYNC_MAX_RETRIES) || 3,
   
-  // Tiempo de espera entre reintentos (en segundos)
+  // Tiempo de espera base entre reintentos (en segundos); se duplica en cada intento
   RETRY_DELAY_SECONDS: parseInt(process.env.SYNC_RETRY_DELAY) || 30,
   
+  // Espera máxima entre reintentos (en segundos)
+  RETRY_MAX_DELAY_SECONDS: parseInt(process.env.SYNC_RETRY_MAX_DELAY) || 300,
+  
   // Límite de elementos por lote en las consultas
   BATCH_SIZE: parseInt(process.env.SYNC_BATCH_SIZE) || 100,
   
+  // Unidades procesadas en paralelo al leer desde Drive (se reduce sola ante rate limits)
+  DRIVE_CONCURRENCY: parseInt(process.env.SYNC_DRIVE_CONCURRENCY) || 4,
+  
+  // Unidades escritas en paralelo en Firestore
+  FIRESTORE_CONCURRENCY: parseInt(process.env.SYNC_FIRESTORE_CONCURRENCY) || 4,
+  
+  // Intentos por documento en las escrituras masivas a Firestore ante errores transitorios
+  FIRESTORE_WRITE_ATTEMPTS: parseInt(process.env.SYNC_FIRESTORE_WRITE_ATTEMPTS) || 5,
+  
+  // Unidades creadas en paralelo en el aprovisionamiento masivo
+  PROVISIONING_CONCURRENCY: parseInt(process.env.SYNC_PROVISIONING_CONCURRENCY) || 2,
+  
   // Habilitar sincronización automática
   AUTO_SYNC_ENABLED: process.env.AUTO_SYNC_ENABLED !== 'false',
   
   // Usar Cloud Scheduler en lugar de cron interno
-  USE_CLOUD_SCHEDULER: process.env.USE_CLOUD_SCHEDULER === 'true'
+  USE_CLOUD_SCHEDULER: process.env.USE_CLOUD_SCHEDULER === 'true',
+  
+  // Inventario de archivos (colección files y totales de almacenamiento) en cada sincronización
+  FILE_INVENTORY_ENABLED: process.env.SYNC_FILE_INVENTORY === 'true',
+  
+  // Permisos propios de carpetas (solo se consultan carpetas con permisos directos o acceso limitado)
+  FOLDER_PERMISSIONS_ENABLED: process.env.SYNC_FOLDER_PERMISSIONS !== 'false',
+  
+  // Días que se conserva el registro de cambios (sync_changes) antes de purgarlo en mantenimiento
+  CHANGES_RETENTION_DAYS: parseInt(process.env.SYNC_CHANGES_RETENTION_DAYS) || 90,
+  
+  // Lease del bloqueo de sincronización en Firestore (sync_status/lock): vence si no se renueva en
+  // LOCK_TTL_SECONDS y la instancia que lo tiene lo renueva cada LOCK_HEARTBEAT_SECONDS
+  LOCK_TTL_SECONDS: parseInt(process.env.SYNC_LOCK_TTL_SECONDS) || 120,
+  LOCK_HEARTBEAT_SECONDS: parseInt(process.env.SYNC_LOCK_HEARTBEAT_SECONDS) || 30,
+  
+  // Reanudar una sincronización completa interrumpida (instancia terminada a mitad) desde su última unidad completada
+  RESUME_INTERRUPTED: process.env.SYNC_RESUME_INTERRUPTED !== 'false',
+  
+  // Días que se conservan las unidades marcadas como eliminadas (deleted_at) antes de purgarlas
+  DELETED_RETENTION_DAYS: parseInt(process.env.SYNC_DELETED_RETENTION_DAYS) || 30
 };
 
 // Configuración de impersonación
 const IMPERSONATION = {
-  USER_EMAIL: process.env.IMPERSONATE_USER_EMAIL
+  USER_EMAIL: process.env.IMPERSONATE_USER_EMAIL,
+  
+  // Descubrir todas las unidades de la organización (useDomainAdminAccess); requiere que el
+  // usuario impersonado sea administrador de Google Workspace
+  DOMAIN_ADMIN_ACCESS: process.env.DRIVE_DOMAIN_ADMIN_ACCESS === 'true'
+};
+
+// Configuración multi-tenant (varios dominios de Google Workspace)
+const TENANTS = {
+  // Tenant que usa las variables GOOGLE_SERVICE_ACCOUNT_* e IMPERSONATE_USER_EMAIL y las colecciones raíz
+  DEFAULT_ID: 'default',
+  
+  // Archivo JSON con la definición de los tenants adicionales
+  CONFIG_FILE: process.env.TENANTS_CONFIG_FILE || path.join(PATHS.CREDENTIALS_DIR, 'tenants.json'),
+  
+  // Colección bajo la que se guardan los datos de cada tenant adicional: tenants/{id}/<colección>
+  NAMESPACE_COLLECTION: 'tenants'
 };
 
 // Configuración de Firestore
@@ -163,9 +230,27 @@ const UTILS = {
 const COLLECTIONS = {
   SHARED_DRIVES: 'shared_drives',
   FOLDERS: 'folders',
+  FILES: 'files',
   DRIVE_MANAGERS: 'drive_managers',
+  DRIVE_PERMISSIONS: 'drive_permissions',
+  FOLDER_PERMISSIONS: 'folder_permissions',
   SYNC_HISTORY: 'sync_history',
-  SYNC_STATUS: 'sync_status'
+  SYNC_STATUS: 'sync_status',
+  DRIVE_SYNC_TOKENS: 'drive_sync_tokens',
+  DRIVE_TEMPLATES: 'drive_templates',
+  SYNC_CHANGES: 'sync_changes'
+};
+
+// Paginación de las rutas de lectura (/api/shared-drives, carpetas y miembros)
+const PAGINATION = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 500,
+  // Campos por los que se puede ordenar; el primero es el orden por defecto
+  SORT_FIELDS: {
+    drives: ['name', 'createdTime', 'synced_at', 'managers_count'],
+    folders: ['full_path', 'name', 'createdTime', 'modifiedTime'],
+    members: ['email', 'role', 'type', 'driveName']
+  }
 };
 
 // Estados de sincronización
@@ -174,7 +259,8 @@ const SYNC_STATUS = {
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted'
 };
 
 // Validación de configuración
@@ -207,11 +293,13 @@ module.exports = {
   SERVER,
   SYNC,
   IMPERSONATION,
+  TENANTS,
   FIRESTORE,
   LOGGING,
   MESSAGES,
   UTILS,
   COLLECTIONS,
+  PAGINATION,
   SYNC_STATUS,
   validateConfig
 };
\ No newline at end of file
@@ -1,16 +1,49 @@
-const { Firestore } = require('@google-cloud/firestore');
-const { FIRESTORE, COLLECTIONS, UTILS } = require('./config');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { FIRESTORE, COLLECTIONS, TENANTS, GOOGLE_DRIVE_API, SYNC, SYNC_STATUS, UTILS } = require('./config');
+
+// Códigos gRPC transitorios que se reintentan en escrituras masivas
+// (DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE)
+const RETRYABLE_WRITE_CODES = [4, 8, 10, 13, 14];
 
 class FirestoreSyncService {
-    constructor() {
+    // Sin tenantId se usan las colecciones raíz (tenant por defecto)
+    constructor(tenantId = null) {
         this.db = null;
         this.initialized = false;
+        this.tenantId = tenantId;
+        this.base = null;
+    }
+
+    // Crear una instancia cuyos datos quedan bajo tenants/{tenantId}; comparte el cliente de Firestore
+    forTenant(tenantId) {
+        const service = new FirestoreSyncService(tenantId);
+        service.base = this;
+        return service;
+    }
+
+    // Referencia a una colección dentro del espacio de nombres del tenant
+    collection(name) {
+        if (this.tenantId) {
+            return this.db.collection(TENANTS.NAMESPACE_COLLECTION).doc(this.tenantId).collection(name);
+        }
+        return this.db.collection(name);
     }
 
     // === INICIALIZACIÓN ===
 
     async initialize() {
         try {
+            // Las instancias de un tenant reutilizan la conexión de la instancia base
+            if (this.base) {
+                if (!this.base.initialized) {
+                    await this.base.initialize();
+                }
+                this.db = this.base.db;
+                this.initialized = true;
+                UTILS.log('info', `Firestore Sync Service inicializado - Tenant: ${this.tenantId}`);
+                return;
+            }
+
             // Crear credenciales desde variables de entorno
             const serviceAccountCredentials = {
                 type: process.env.GOOGLE_SERVICE_ACCOUNT_TYPE,
@@ -64,60 +97,53 @@ class FirestoreSyncService {
     // === SINCRONIZACIÓN DE UNIDADES COMPARTIDAS ===
 
     // Sincronizar todas las unidades compartidas desde Drive
-    async syncSharedDrives(drivesFromAPI) {
+    // Con deleteMissing=false solo se actualizan las unidades recibidas (sincronización parcial)
+    // Las unidades que desaparecen de Drive se marcan como eliminadas (deleted_at, deleted_in_sync) en lugar
+    // de borrarse; si vuelven a aparecer se restauran y purgeDeletedSharedDrives las borra tras la retención
+    async syncSharedDrives(drivesFromAPI, options = {}) {
+        const { deleteMissing = true, changes = null, syncId = null } = options;
         try {
             this.ensureInitialized();
             UTILS.log('info', `Sincronizando ${drivesFromAPI.length} unidades compartidas`);
 
-            // 1. Obtener todas las unidades existentes en Firestore
-            const existingDrivesSnapshot = await this.db.collection(COLLECTIONS.SHARED_DRIVES).get();
-            const existingDriveIds = new Set();
-            const existingDrives = {};
-            
-            existingDrivesSnapshot.forEach(doc => {
-                const data = doc.data();
-                existingDriveIds.add(doc.id);
-                existingDrives[doc.id] = data;
-            });
+            // 1. Obtener todas las unidades existentes en Firestore (incluidas las marcadas como eliminadas)
+            const existingDrivesSnapshot = await this.collection(COLLECTIONS.SHARED_DRIVES).select('name', 'deleted_at').get();
+            const existingNames = new Map(existingDrivesSnapshot.docs.map(doc => [doc.id, doc.get('name')]));
+            const existingDriveIds = new Set(existingNames.keys());
+            const tombstonedIds = new Set(existingDrivesSnapshot.docs.filter(doc => doc.get('deleted_at')).map(doc => doc.id));
 
             // 2. Crear conjunto de IDs de unidades actuales desde Google Drive
             const currentDriveIds = new Set(drivesFromAPI.map(drive => drive.id));
 
-            // 3. Identificar unidades a eliminar (existen en Firestore pero no en Drive)
-            // Google Drive es la fuente única de verdad - eliminar TODO lo que no esté en Drive
+            // 3. Identificar unidades a marcar como eliminadas (existen en Firestore pero no en Drive)
             const drivesToDelete = [];
             existingDriveIds.forEach(driveId => {
-                if (!currentDriveIds.has(driveId)) {
+                if (deleteMissing && !currentDriveIds.has(driveId) && !tombstonedIds.has(driveId)) {
                     drivesToDelete.push(driveId);
                 }
             });
+            const restoredIds = drivesFromAPI.filter(drive => tombstonedIds.has(drive.id)).map(drive => drive.id);
 
-            UTILS.log('info', `Unidades a eliminar: ${drivesToDelete.length}`);
+            UTILS.log('info', `Unidades a marcar como eliminadas: ${drivesToDelete.length}, restauradas: ${restoredIds.length}`);
             if (drivesToDelete.length > 0) {
-                UTILS.log('debug', `IDs a eliminar: ${drivesToDelete.join(', ')}`);
+                UTILS.log('debug', `IDs a marcar como eliminadas: ${drivesToDelete.join(', ')}`);
             }
 
-            const batch = this.db.batch();
-            let batchCount = 0;
-            const batchSize = 500; // Límite de Firestore
-
-            // 4. Eliminar unidades obsoletas
-            for (const driveId of drivesToDelete) {
-                const driveRef = this.db.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId);
-                batch.delete(driveRef);
-                batchCount++;
-
-                // Ejecutar batch si alcanza el límite
-                if (batchCount >= batchSize) {
-                    await batch.commit();
-                    UTILS.log('debug', `Batch de eliminación de ${batchCount} unidades procesado`);
-                    batchCount = 0;
-                }
-            }
+            const writer = this.createBulkWriter('shared-drives');
+            const now = new Date();
+
+            // 4. Marcar unidades obsoletas; sus datos se conservan hasta la purga
+            drivesToDelete.forEach(driveId => {
+                writer.set(this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId), {
+                    deleted_at: now,
+                    deleted_in_sync: syncId
+                }, { merge: true });
+            });
 
-            // 5. Actualizar/crear unidades actuales
+            // 5. Actualizar/crear unidades actuales; set con merge conserva los campos del frontend
+            // (created_by_frontend, created_at) sin tener que leerlos
             for (const drive of drivesFromAPI) {
-                const driveRef = this.db.collection(COLLECTIONS.SHARED_DRIVES).doc(drive.id);
+                const driveRef = this.collection(COLLECTIONS.SHARED_DRIVES).doc(drive.id);
                 
                 // Preparar datos de la unidad
                 const driveData = {
@@ -130,44 +156,82 @@ class FirestoreSyncService {
                     createdTime: drive.createdTime,
                     hidden: drive.hidden || false,
                     restrictions: drive.restrictions || {},
+                    impersonated_user_is_member: drive.impersonated_user_is_member !== false,
                     synced_at: new Date(),
                     synced_by_backend: true
                 };
 
-                // Verificar si existe para preservar campos del frontend
-                if (existingDrives[drive.id]) {
-                    const existingData = existingDrives[drive.id];
-                    // Preservar campos creados por el frontend
-                    if (existingData.created_by_frontend) {
-                        driveData.created_by_frontend = true;
-                        driveData.created_at = existingData.created_at;
-                    }
+                // Totales de almacenamiento (solo con inventario de archivos)
+                if (drive.storage) {
+                    Object.assign(driveData, this.buildStorageFields(drive.storage));
                 }
 
-                batch.set(driveRef, driveData, { merge: true });
-                batchCount++;
-
-                // Ejecutar batch si alcanza el límite
-                if (batchCount >= batchSize) {
-                    await batch.commit();
-                    UTILS.log('debug', `Batch de ${batchCount} unidades procesado`);
-                    batchCount = 0;
+                // Unidad que reaparece en Drive: se restaura quitando la marca de eliminación
+                if (tombstonedIds.has(drive.id)) {
+                    driveData.deleted_at = FieldValue.delete();
+                    driveData.deleted_in_sync = FieldValue.delete();
+                    driveData.restored_at = now;
                 }
+
+                writer.set(driveRef, driveData, { merge: true });
             }
 
-            // Ejecutar batch restante
-            if (batchCount > 0) {
-                await batch.commit();
-                UTILS.log('debug', `Batch final de ${batchCount} unidades procesado`);
+            await writer.close();
+
+            // Unidades nuevas: sus carpetas y miembros no se registran uno a uno como cambios
+            const addedIds = drivesFromAPI.filter(drive => !existingDriveIds.has(drive.id)).map(drive => drive.id);
+
+            // En la primera carga (colección vacía) no hay cambios que registrar
+            if (changes && existingDriveIds.size > 0) {
+                drivesFromAPI.forEach(drive => {
+                    if (!existingDriveIds.has(drive.id)) {
+                        changes.push(this.buildChangeEntry('drive', 'added', {
+                            drive_id: drive.id, drive_name: drive.name, entity_id: drive.id, name: drive.name,
+                            after: { name: drive.name }
+                        }));
+                    } else if (tombstonedIds.has(drive.id)) {
+                        changes.push(this.buildChangeEntry('drive', 'restored', {
+                            drive_id: drive.id, drive_name: drive.name, entity_id: drive.id, name: drive.name,
+                            before: { name: existingNames.get(drive.id) }, after: { name: drive.name }
+                        }));
+                    } else if (existingNames.get(drive.id) !== drive.name) {
+                        changes.push(this.buildChangeEntry('drive', 'renamed', {
+                            drive_id: drive.id, drive_name: drive.name, entity_id: drive.id, name: drive.name,
+                            before: { name: existingNames.get(drive.id) }, after: { name: drive.name }
+                        }));
+                    }
+                });
+                drivesToDelete.forEach(driveId => {
+                    changes.push(this.buildChangeEntry('drive', 'removed', {
+                        drive_id: driveId, drive_name: existingNames.get(driveId), entity_id: driveId, name: existingNames.get(driveId),
+                        before: { name: existingNames.get(driveId) }
+                    }));
+                });
             }
 
             const totalProcessed = drivesFromAPI.length;
             const totalDeleted = drivesToDelete.length;
-            UTILS.log('info', `Sincronización completa: ${totalProcessed} unidades actualizadas/creadas, ${totalDeleted} eliminadas`);
-            
+            UTILS.log('info', `Sincronización completa: ${totalProcessed} unidades actualizadas/creadas, ${totalDeleted} marcadas como eliminadas, ${restoredIds.length} restauradas`);
+
+            // 6. Eliminar en cascada lo guardado de unidades que conservan token de cambios pero ya no tienen
+            // documento (borrado fuera del backend); las marcadas como eliminadas conservan sus datos y el barrido
+            // completo de restos queda para el mantenimiento. Solo si se revisaron todas las unidades
+            let removed = null;
+            if (deleteMissing) {
+                const tokensSnapshot = await this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).select().get();
+                const goneIds = tokensSnapshot.docs
+                    .map(doc => doc.id)
+                    .filter(driveId => !existingDriveIds.has(driveId) && !currentDriveIds.has(driveId));
+                removed = await this.deleteDriveData(goneIds);
+            }
+
             return {
                 processed: totalProcessed,
                 deleted: totalDeleted,
+                deleted_ids: drivesToDelete,
+                restored_ids: restoredIds,
+                added_ids: addedIds,
+                removed: removed,
                 total: totalProcessed
             };
 
@@ -179,18 +243,54 @@ class FirestoreSyncService {
 
     // === SINCRONIZACIÓN DE CARPETAS ===
 
-    // Sincronizar carpetas de una unidad específica
-    async syncFoldersForDrive(driveId, foldersFromAPI) {
+    // Sincronizar carpetas de una unidad específica; con options.changes se agregan al registro
+    // las carpetas nuevas, renombradas o movidas respecto a lo guardado
+    async syncFoldersForDrive(driveId, foldersFromAPI, options = {}) {
+        const { changes = null } = options;
         try {
             this.ensureInitialized();
             UTILS.log('info', `Sincronizando ${foldersFromAPI.length} carpetas para unidad ${driveId}`);
 
-            const batch = this.db.batch();
-            let batchCount = 0;
-            const batchSize = 500;
+            if (changes) {
+                const existingSnapshot = await this.collection(COLLECTIONS.FOLDERS)
+                    .where('driveId', '==', driveId)
+                    .select('name', 'parent_id', 'full_path')
+                    .get();
+                const existing = new Map(existingSnapshot.docs.map(doc => [doc.id, doc.data()]));
+
+                foldersFromAPI.forEach(folder => {
+                    const previous = existing.get(folder.id);
+                    const parentId = folder.parents && folder.parents[0] !== driveId ? folder.parents[0] : null;
+                    const base = { drive_id: driveId, entity_id: folder.id, name: folder.name };
+
+                    if (!previous) {
+                        changes.push(this.buildChangeEntry('folder', 'added', {
+                            ...base, after: { name: folder.name, full_path: folder.full_path || null }
+                        }));
+                        return;
+                    }
+                    if (previous.name !== folder.name) {
+                        changes.push(this.buildChangeEntry('folder', 'renamed', {
+                            ...base,
+                            before: { name: previous.name, full_path: previous.full_path || null },
+                            after: { name: folder.name, full_path: folder.full_path || null }
+                        }));
+                    }
+                    if ((previous.parent_id || null) !== parentId) {
+                        changes.push(this.buildChangeEntry('folder', 'moved', {
+                            ...base,
+                            before: { parent_id: previous.parent_id || null, full_path: previous.full_path || null },
+                            after: { parent_id: parentId, full_path: folder.full_path || null }
+                        }));
+                    }
+                });
+            }
+
+            // set con merge conserva created_by_frontend y created_at sin leer cada carpeta
+            const writer = this.createBulkWriter(`folders ${driveId}`);
 
             for (const folder of foldersFromAPI) {
-                const folderRef = this.db.collection(COLLECTIONS.FOLDERS).doc(folder.id);
+                const folderRef = this.collection(COLLECTIONS.FOLDERS).doc(folder.id);
                 
                 const folderData = {
                     id: folder.id,
@@ -201,35 +301,26 @@ class FirestoreSyncService {
                     mimeType: folder.mimeType,
                     createdTime: folder.createdTime,
                     modifiedTime: folder.modifiedTime,
+                    hasAugmentedPermissions: folder.hasAugmentedPermissions || false,
+                    inheritedPermissionsDisabled: folder.inheritedPermissionsDisabled || false,
                     synced_at: new Date(),
                     synced_by_backend: true
                 };
 
-                // Verificar si existe para preservar campos del frontend
-                const existingDoc = await folderRef.get();
-                if (existingDoc.exists) {
-                    const existingData = existingDoc.data();
-                    if (existingData.created_by_frontend) {
-                        folderData.created_by_frontend = true;
-                        folderData.created_at = existingData.created_at;
-                    }
+                // Diferencias de acceso respecto a la unidad (solo con permisos de carpetas)
+                if (folder.access) {
+                    Object.assign(folderData, folder.access);
                 }
 
-                batch.set(folderRef, folderData, { merge: true });
-                batchCount++;
-
-                if (batchCount >= batchSize) {
-                    await batch.commit();
-                    UTILS.log('debug', `Batch de ${batchCount} carpetas procesado`);
-                    batchCount = 0;
+                if (folder.storage) {
+                    Object.assign(folderData, this.buildStorageFields(folder.storage));
                 }
-            }
 
-            if (batchCount > 0) {
-                await batch.commit();
-                UTILS.log('debug', `Batch final de ${batchCount} carpetas procesado`);
+                writer.set(folderRef, folderData, { merge: true });
             }
 
+            await writer.close();
+
             UTILS.log('info', `${foldersFromAPI.length} carpetas sincronizadas para unidad ${driveId}`);
             return foldersFromAPI.length;
 
@@ -239,241 +330,1310 @@ class FirestoreSyncService {
         }
     }
 
-    // === SINCRONIZACIÓN DE PERMISOS ===
-
-    // Sincronizar managers/permisos de una unidad
-    async syncManagersForDrive(driveId, driveName, managersFromAPI) {
+    // Obtener las carpetas guardadas de una unidad con la forma que devuelve la API de Drive
+    async getFoldersForDrive(driveId) {
         try {
             this.ensureInitialized();
-            UTILS.log('info', `Sincronizando ${managersFromAPI.length} managers para unidad ${driveId}`);
 
-            // Primero eliminar managers existentes de esta unidad (que fueron sincronizados por backend)
-            const existingManagersQuery = this.db.collection(COLLECTIONS.DRIVE_MANAGERS)
+            const snapshot = await this.collection(COLLECTIONS.FOLDERS)
                 .where('driveId', '==', driveId)
-                .where('synced_by_backend', '==', true);
-            
-            const existingSnapshot = await existingManagersQuery.get();
-            const batch = this.db.batch();
-            
-            // Eliminar managers existentes sincronizados por backend
-            existingSnapshot.forEach(doc => {
-                batch.delete(doc.ref);
-            });
+                .get();
 
-            // Agregar nuevos managers
-            managersFromAPI.forEach(manager => {
-                const managerRef = this.db.collection(COLLECTIONS.DRIVE_MANAGERS).doc();
-                batch.set(managerRef, {
-                    driveId: driveId,
-                    driveName: driveName,
-                    email: manager.email || manager.emailAddress,
-                    role: manager.role,
-                    type: manager.type,
-                    permissionId: manager.permissionId || manager.id,
-                    displayName: manager.displayName || null,
-                    photoLink: manager.photoLink || null,
-                    synced_at: new Date(),
-                    synced_by_backend: true
+            const folders = [];
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                folders.push({
+                    id: doc.id,
+                    name: data.name,
+                    parents: [data.parent_id || driveId],
+                    mimeType: data.mimeType,
+                    createdTime: data.createdTime,
+                    modifiedTime: data.modifiedTime,
+                    hasAugmentedPermissions: data.hasAugmentedPermissions || false,
+                    inheritedPermissionsDisabled: data.inheritedPermissionsDisabled || false,
+                    full_path: data.full_path,
+                    access_scope: data.access_scope || null,
+                    access_inherited_from: data.access_inherited_from || null
                 });
             });
 
-            await batch.commit();
-            UTILS.log('info', `${managersFromAPI.length} managers sincronizados para unidad ${driveId}`);
-            return managersFromAPI.length;
+            return folders;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener carpetas guardadas de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Eliminar las carpetas guardadas de una unidad que ya no llegaron en una lectura completa
+    // (eliminadas, en la papelera o movidas a otra unidad), junto con sus permisos de carpeta
+    async deleteStaleFoldersForDrive(driveId, currentFolderIds, options = {}) {
+        const { changes = null } = options;
+        try {
+            this.ensureInitialized();
+
+            const current = new Set(currentFolderIds);
+            const [foldersSnapshot, permissionsSnapshot] = await Promise.all([
+                this.collection(COLLECTIONS.FOLDERS).where('driveId', '==', driveId).select('name', 'full_path').get(),
+                this.collection(COLLECTIONS.FOLDER_PERMISSIONS).where('driveId', '==', driveId).select('folderId').get()
+            ]);
 
+            const staleFolderDocs = foldersSnapshot.docs.filter(doc => !current.has(doc.id));
+            const staleFolderRefs = staleFolderDocs.map(doc => doc.ref);
+            if (changes) {
+                staleFolderDocs.forEach(doc => changes.push(this.buildChangeEntry('folder', 'removed', {
+                    drive_id: driveId, entity_id: doc.id, name: doc.get('name'),
+                    before: { name: doc.get('name'), full_path: doc.get('full_path') || null }
+                })));
+            }
+            const staleFolderIds = new Set(staleFolderRefs.map(ref => ref.id));
+            const stalePermissionRefs = permissionsSnapshot.docs
+                .filter(doc => staleFolderIds.has(doc.get('folderId')))
+                .map(doc => doc.ref);
+
+            await this.deleteRefs([...staleFolderRefs, ...stalePermissionRefs]);
+
+            if (staleFolderRefs.length > 0) {
+                UTILS.log('info', `Unidad ${driveId}: ${staleFolderRefs.length} carpetas obsoletas eliminadas`);
+            }
+            return staleFolderRefs.length;
         } catch (error) {
-            UTILS.log('error', `Error al sincronizar managers para unidad ${driveId}`, null, error);
+            UTILS.log('error', `Error al eliminar carpetas obsoletas de la unidad ${driveId}`, null, error);
             throw error;
         }
     }
 
-    // === HISTORIAL DE SINCRONIZACIÓN ===
+    // Eliminar carpetas por ID
+    async deleteFolders(folderIds) {
+        try {
+            this.ensureInitialized();
 
-    // Registrar inicio de sincronización
-    async recordSyncStart(syncId) {
+            await this.deleteRefs(folderIds.map(folderId => this.collection(COLLECTIONS.FOLDERS).doc(folderId)));
+
+            UTILS.log('info', `${folderIds.length} carpetas eliminadas`);
+            return folderIds.length;
+        } catch (error) {
+            UTILS.log('error', 'Error al eliminar carpetas', null, error);
+            throw error;
+        }
+    }
+
+    // === INVENTARIO DE ARCHIVOS ===
+
+    // Sincronizar archivos de una unidad; con deleteMissing elimina los que ya no existen en Drive
+    async syncFilesForDrive(driveId, filesFromAPI, options = {}) {
+        const { deleteMissing = true } = options;
         try {
             this.ensureInitialized();
-            
-            const syncRef = this.db.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
-            await syncRef.set({
-                sync_id: syncId,
-                sync_date: new Date(),
-                status: 'running',
-                start_time: new Date(),
-                drives_count: 0,
-                folders_count: 0,
-                managers_count: 0,
-                errors: []
+            UTILS.log('info', `Sincronizando ${filesFromAPI.length} archivos para unidad ${driveId}`);
+
+            let staleIds = [];
+            if (deleteMissing) {
+                const existingSnapshot = await this.collection(COLLECTIONS.FILES)
+                    .where('driveId', '==', driveId)
+                    .select()
+                    .get();
+                const currentIds = new Set(filesFromAPI.map(file => file.id));
+                staleIds = existingSnapshot.docs.map(doc => doc.id).filter(fileId => !currentIds.has(fileId));
+            }
+
+            const writer = this.createBulkWriter(`files ${driveId}`);
+            filesFromAPI.forEach(file => {
+                writer.set(this.collection(COLLECTIONS.FILES).doc(file.id), this.buildFileData(driveId, file), { merge: true });
             });
+            await writer.close();
+
+            if (staleIds.length > 0) {
+                await this.deleteFiles(staleIds);
+            }
+
+            UTILS.log('info', `${filesFromAPI.length} archivos sincronizados para unidad ${driveId}, ${staleIds.length} eliminados`);
+            return filesFromAPI.length;
 
-            UTILS.log('info', `Sincronización registrada: ${syncId}`);
         } catch (error) {
-            UTILS.log('error', 'Error al registrar inicio de sincronización', null, error);
+            UTILS.log('error', `Error al sincronizar archivos para unidad ${driveId}`, null, error);
             throw error;
         }
     }
 
-    // Actualizar progreso de sincronización
-    async updateSyncProgress(syncId, progress) {
+    // Eliminar archivos por ID
+    async deleteFiles(fileIds) {
         try {
             this.ensureInitialized();
-            
-            const syncRef = this.db.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
-            await syncRef.update({
-                ...progress,
-                updated_at: new Date()
-            });
 
+            await this.deleteRefs(fileIds.map(fileId => this.collection(COLLECTIONS.FILES).doc(fileId)));
+
+            return fileIds.length;
         } catch (error) {
-            UTILS.log('error', 'Error al actualizar progreso de sincronización', null, error);
+            UTILS.log('error', 'Error al eliminar archivos', null, error);
+            throw error;
         }
     }
 
-    // Completar sincronización
-    async completeSyncRecord(syncId, stats, status = 'completed') {
+    // Pasar archivos al inventario de otra unidad (carpeta movida entre unidades); parent_id no cambia
+    async moveFilesToDrive(fileIds, driveId) {
         try {
             this.ensureInitialized();
-            
-            const syncRef = this.db.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
-            await syncRef.update({
-                status: status,
-                end_time: new Date(),
-                duration_ms: stats.duration_ms,
-                duration_minutes: stats.duration_minutes,
-                drives_count: stats.drives_count || 0,
-                folders_count: stats.folders_count || 0,
-                managers_count: stats.managers_count || 0,
-                errors: stats.errors || [],
-                completed_at: new Date()
+
+            const writer = this.createBulkWriter(`move files ${driveId}`);
+            fileIds.forEach(fileId => {
+                writer.set(this.collection(COLLECTIONS.FILES).doc(fileId), { driveId: driveId, synced_at: new Date() }, { merge: true });
             });
+            await writer.close();
 
-            UTILS.log('info', `Sincronización completada: ${syncId} - Estado: ${status}`);
+            return fileIds.length;
         } catch (error) {
-            UTILS.log('error', 'Error al completar registro de sincronización', null, error);
+            UTILS.log('error', `Error al mover archivos a la unidad ${driveId}`, null, error);
+            throw error;
         }
     }
 
-    // === ESTADO DE SINCRONIZACIÓN ===
+    // Obtener los archivos guardados de una unidad con la forma que devuelve la API de Drive
+    // (solo los campos necesarios para recalcular totales de almacenamiento)
+    async getFilesForDrive(driveId) {
+        try {
+            this.ensureInitialized();
 
-    // Obtener estado actual de sincronización
-    async getSyncStatus() {
+            const snapshot = await this.collection(COLLECTIONS.FILES)
+                .where('driveId', '==', driveId)
+                .select('parent_id', 'size', 'modifiedTime')
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                id: doc.id,
+                parents: [doc.get('parent_id') || driveId],
+                size: doc.get('size') || 0,
+                modifiedTime: doc.get('modifiedTime') || null
+            }));
+        } catch (error) {
+            UTILS.log('error', `Error al obtener archivos guardados de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // IDs de las unidades que ya tienen inventario de archivos (totales de almacenamiento calculados)
+    async getDriveIdsWithFileInventory() {
         try {
             this.ensureInitialized();
-            
-            const statusRef = this.db.collection(COLLECTIONS.SYNC_STATUS).doc('current');
-            const doc = await statusRef.get();
-            
-            if (doc.exists) {
-                return doc.data();
-            }
-            
-            return {
-                status: 'idle',
-                last_sync: null,
-                current_sync_id: null
-            };
+
+            const snapshot = await this.collection(COLLECTIONS.SHARED_DRIVES)
+                .where('storage_synced_at', '!=', null)
+                .select()
+                .get();
+
+            return new Set(snapshot.docs.map(doc => doc.id));
         } catch (error) {
-            UTILS.log('error', 'Error al obtener estado de sincronización', null, error);
-            return { status: 'unknown' };
+            UTILS.log('error', 'Error al obtener unidades con inventario de archivos', null, error);
+            throw error;
         }
     }
 
-    // Actualizar estado de sincronización
-    async updateSyncStatus(status, syncId = null) {
+    // Actualizar solo los totales de almacenamiento de una unidad
+    async updateDriveStorage(driveId, storage) {
         try {
             this.ensureInitialized();
-            
-            const statusRef = this.db.collection(COLLECTIONS.SYNC_STATUS).doc('current');
-            const updateData = {
-                status: status,
-                updated_at: new Date()
-            };
-            
-            if (syncId) {
-                updateData.current_sync_id = syncId;
-            }
-            
-            if (status === 'completed' || status === 'failed') {
-                updateData.last_sync = new Date();
-                updateData.current_sync_id = null;
-            }
-            
-            await statusRef.set(updateData, { merge: true });
-            
+
+            await this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId)
+                .set(this.buildStorageFields(storage), { merge: true });
         } catch (error) {
-            UTILS.log('error', 'Error al actualizar estado de sincronización', null, error);
+            UTILS.log('error', `Error al actualizar almacenamiento de la unidad ${driveId}`, null, error);
+            throw error;
         }
     }
 
-    // === LIMPIEZA Y MANTENIMIENTO ===
+    // Actualizar los totales de almacenamiento de las carpetas de una unidad; solo escribe las que cambian
+    async updateFolderStorage(driveId, folderTotals) {
+        try {
+            this.ensureInitialized();
 
-    // Limpiar registros antiguos de sincronización (mantener últimos 50)
-    async cleanupSyncHistory(keepLast = 50) {
+            const snapshot = await this.collection(COLLECTIONS.FOLDERS)
+                .where('driveId', '==', driveId)
+                .select('file_count', 'total_bytes', 'last_file_modified')
+                .get();
+
+            const writer = this.createBulkWriter(`folder storage ${driveId}`);
+            let updated = 0;
+            snapshot.docs.forEach(doc => {
+                const storage = folderTotals.get(doc.id);
+                if (!storage) {
+                    return;
+                }
+                if (doc.get('file_count') === storage.file_count &&
+                    doc.get('total_bytes') === storage.total_bytes &&
+                    (doc.get('last_file_modified') || null) === storage.last_file_modified) {
+                    return;
+                }
+                writer.set(doc.ref, this.buildStorageFields(storage), { merge: true });
+                updated++;
+            });
+            await writer.close();
+
+            return updated;
+        } catch (error) {
+            UTILS.log('error', `Error al actualizar almacenamiento de carpetas de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    buildFileData(driveId, file) {
+        const lastModifyingEmail = file.lastModifyingUser ? file.lastModifyingUser.emailAddress || null : null;
+
+        return {
+            id: file.id,
+            name: file.name,
+            driveId: driveId,
+            parent_id: file.parents && file.parents[0] !== driveId ? file.parents[0] : null,
+            mimeType: file.mimeType,
+            size: parseInt(file.size, 10) || 0,
+            // En unidades compartidas los archivos pertenecen a la unidad, no a un usuario
+            owner_email: null,
+            last_modifying_user_email: lastModifyingEmail,
+            createdTime: file.createdTime,
+            modifiedTime: file.modifiedTime,
+            synced_at: new Date(),
+            synced_by_backend: true
+        };
+    }
+
+    buildStorageFields(storage) {
+        return {
+            file_count: storage.file_count,
+            total_bytes: storage.total_bytes,
+            last_file_modified: storage.last_file_modified,
+            storage_synced_at: new Date()
+        };
+    }
+
+    // === TOKENS DE CAMBIOS (CHANGES API) ===
+
+    // Obtener los tokens de cambios guardados, indexados por ID de unidad
+    async getChangeTokens() {
         try {
             this.ensureInitialized();
-            
-            const historyRef = this.db.collection(COLLECTIONS.SYNC_HISTORY)
-                .orderBy('sync_date', 'desc')
-                .offset(keepLast);
-            
-            const snapshot = await historyRef.get();
-            
-            if (snapshot.empty) {
-                return 0;
-            }
-            
-            const batch = this.db.batch();
+
+            const snapshot = await this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).get();
+            const tokens = {};
             snapshot.forEach(doc => {
-                batch.delete(doc.ref);
+                tokens[doc.id] = doc.data().page_token;
             });
-            
-            await batch.commit();
-            
-            UTILS.log('info', `${snapshot.size} registros antiguos de sincronización eliminados`);
-            return snapshot.size;
-            
+
+            return tokens;
         } catch (error) {
-            UTILS.log('error', 'Error al limpiar historial de sincronización', null, error);
-            return 0;
+            UTILS.log('error', 'Error al obtener tokens de cambios', null, error);
+            throw error;
         }
     }
 
-    // Obtener estadísticas de la base de datos
-    async getDatabaseStats() {
+    // Guardar el token de cambios de una unidad
+    async saveChangeToken(driveId, pageToken) {
         try {
             this.ensureInitialized();
-            
-            const [drivesSnapshot, foldersSnapshot, managersSnapshot] = await Promise.all([
-                this.db.collection(COLLECTIONS.SHARED_DRIVES).count().get(),
-                this.db.collection(COLLECTIONS.FOLDERS).count().get(),
-                this.db.collection(COLLECTIONS.DRIVE_MANAGERS).count().get()
-            ]);
-            
-            return {
-                drives_count: drivesSnapshot.data().count,
-                folders_count: foldersSnapshot.data().count,
-                managers_count: managersSnapshot.data().count,
-                timestamp: new Date()
-            };
-            
+
+            await this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).doc(driveId).set({
+                driveId: driveId,
+                page_token: pageToken,
+                updated_at: new Date()
+            });
         } catch (error) {
-            UTILS.log('error', 'Error al obtener estadísticas de la base de datos', null, error);
-            return {
-                drives_count: 0,
-                folders_count: 0,
-                managers_count: 0,
-                error: error.message
-            };
+            UTILS.log('error', `Error al guardar token de cambios de la unidad ${driveId}`, null, error);
+            throw error;
         }
     }
 
-    // === GUARDAR NUEVA UNIDAD COMPARTIDA ===
-
-    async saveNewSharedDrive(driveData, managers = []) {
+    // Eliminar tokens de unidades que ya no existen
+    async deleteChangeTokens(driveIds) {
         try {
             this.ensureInitialized();
-            
-            const driveRef = this.db.collection(COLLECTIONS.SHARED_DRIVES).doc(driveData.id);
+
+            for (let i = 0; i < driveIds.length; i += 500) {
+                const batch = this.db.batch();
+                driveIds.slice(i, i + 500).forEach(driveId => {
+                    batch.delete(this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).doc(driveId));
+                });
+                await batch.commit();
+            }
+
+            return driveIds.length;
+        } catch (error) {
+            UTILS.log('error', 'Error al eliminar tokens de cambios', null, error);
+            throw error;
+        }
+    }
+
+    // === SINCRONIZACIÓN DE PERMISOS ===
+
+    // Sincronizar el espejo completo de permisos de una unidad (todos los roles y tipos).
+    // Los documentos usan ID estable driveId_permissionId; se eliminan los permisos que ya no existen.
+    // Con options.changes se agregan al registro los miembros agregados, quitados o con rol cambiado
+    async syncPermissionsForDrive(driveId, driveName, permissionsFromAPI, options = {}) {
+        const { changes = null } = options;
+        try {
+            this.ensureInitialized();
+            UTILS.log('info', `Sincronizando ${permissionsFromAPI.length} permisos para unidad ${driveId}`);
+
+            const existingSnapshot = await this.collection(COLLECTIONS.DRIVE_PERMISSIONS)
+                .where('driveId', '==', driveId)
+                .select('permissionId', 'email', 'domain', 'role', 'type')
+                .get();
+
+            if (changes) {
+                this.collectMemberChanges(driveId, driveName, existingSnapshot.docs.map(doc => doc.data()), permissionsFromAPI, changes);
+            }
+
+            const currentIds = new Set(permissionsFromAPI.map(permission => `${driveId}_${permission.id}`));
+            const staleRefs = existingSnapshot.docs
+                .filter(doc => !currentIds.has(doc.id))
+                .map(doc => doc.ref);
+
+            const operations = [
+                ...staleRefs.map(ref => batch => batch.delete(ref)),
+                ...permissionsFromAPI.map(permission => batch => {
+                    const permissionRef = this.collection(COLLECTIONS.DRIVE_PERMISSIONS).doc(`${driveId}_${permission.id}`);
+                    batch.set(permissionRef, this.buildPermissionData(driveId, driveName, permission));
+                })
+            ];
+
+            for (let i = 0; i < operations.length; i += 500) {
+                const batch = this.db.batch();
+                operations.slice(i, i + 500).forEach(operation => operation(batch));
+                await batch.commit();
+            }
+
+            UTILS.log('info', `${permissionsFromAPI.length} permisos sincronizados para unidad ${driveId}, ${staleRefs.length} eliminados`);
+            return permissionsFromAPI.length;
+
+        } catch (error) {
+            UTILS.log('error', `Error al sincronizar permisos para unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    collectMemberChanges(driveId, driveName, previousPermissions, permissionsFromAPI, changes) {
+        const previousById = new Map(previousPermissions.map(permission => [permission.permissionId, permission]));
+        const currentIds = new Set(permissionsFromAPI.map(permission => permission.id));
+        const base = permission => ({
+            drive_id: driveId,
+            drive_name: driveName,
+            entity_id: permission.permissionId || permission.id,
+            email: permission.email || permission.emailAddress || null,
+            name: permission.email || permission.emailAddress || permission.domain || permission.type
+        });
+
+        permissionsFromAPI.forEach(permission => {
+            const previous = previousById.get(permission.id);
+            if (!previous) {
+                changes.push(this.buildChangeEntry('member', 'added', {
+                    ...base(permission), after: { role: permission.role, type: permission.type }
+                }));
+            } else if (previous.role !== permission.role) {
+                changes.push(this.buildChangeEntry('member', 'role_changed', {
+                    ...base(permission),
+                    before: { role: previous.role, type: previous.type },
+                    after: { role: permission.role, type: permission.type }
+                }));
+            }
+        });
+
+        previousPermissions
+            .filter(permission => !currentIds.has(permission.permissionId))
+            .forEach(permission => changes.push(this.buildChangeEntry('member', 'removed', {
+                ...base(permission), before: { role: permission.role, type: permission.type }
+            })));
+    }
+
+    // Documento de drive_permissions para un permiso de la API de Drive
+    buildPermissionData(driveId, driveName, permission) {
+        return {
+            driveId: driveId,
+            driveName: driveName,
+            permissionId: permission.id,
+            // En minúsculas para la búsqueda por prefijo de /api/members
+            email: permission.emailAddress ? permission.emailAddress.toLowerCase() : null,
+            role: permission.role,
+            type: permission.type,
+            domain: permission.domain || null,
+            displayName: permission.displayName || null,
+            photoLink: permission.photoLink || null,
+            expirationTime: permission.expirationTime || null,
+            deleted: permission.deleted || false,
+            allowFileDiscovery: permission.allowFileDiscovery || false,
+            is_manager: GOOGLE_DRIVE_API.MANAGER_ROLES.includes(permission.role),
+            synced_at: new Date(),
+            synced_by_backend: true
+        };
+    }
+
+    // Obtener los permisos guardados de una unidad con la forma que devuelve la API de Drive
+    async getPermissionsForDrive(driveId) {
+        try {
+            this.ensureInitialized();
+
+            const snapshot = await this.collection(COLLECTIONS.DRIVE_PERMISSIONS)
+                .where('driveId', '==', driveId)
+                .get();
+
+            return snapshot.docs.map(doc => {
+                const data = doc.data();
+                return {
+                    id: data.permissionId,
+                    emailAddress: data.email,
+                    role: data.role,
+                    type: data.type,
+                    domain: data.domain
+                };
+            });
+        } catch (error) {
+            UTILS.log('error', `Error al obtener permisos guardados de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // === PERMISOS DE CARPETAS ===
+
+    // Sincronizar permisos de carpetas (Map folderId -> permisos). Con folderIds solo se reemplazan
+    // los permisos de esas carpetas; sin él se reemplaza el conjunto completo de la unidad.
+    async syncFolderPermissionsForDrive(driveId, folderPermissions, options = {}) {
+        const { folderIds = null } = options;
+        try {
+            this.ensureInitialized();
+
+            const scope = folderIds ? new Set(folderIds) : null;
+            const existingSnapshot = await this.collection(COLLECTIONS.FOLDER_PERMISSIONS)
+                .where('driveId', '==', driveId)
+                .get();
+
+            const currentIds = new Set();
+            folderPermissions.forEach((permissions, folderId) => {
+                permissions.forEach(permission => currentIds.add(`${folderId}_${permission.id}`));
+            });
+            const staleRefs = existingSnapshot.docs
+                .filter(doc => (!scope || scope.has(doc.data().folderId)) && !currentIds.has(doc.id))
+                .map(doc => doc.ref);
+
+            const operations = staleRefs.map(ref => batch => batch.delete(ref));
+            folderPermissions.forEach((permissions, folderId) => {
+                permissions.forEach(permission => {
+                    const details = permission.permissionDetails || [];
+                    const inheritedDetail = details.find(detail => detail.inherited);
+                    const isDirect = details.length === 0 || details.some(detail => !detail.inherited);
+
+                    operations.push(batch => {
+                        const permissionRef = this.collection(COLLECTIONS.FOLDER_PERMISSIONS).doc(`${folderId}_${permission.id}`);
+                        batch.set(permissionRef, {
+                            driveId: driveId,
+                            folderId: folderId,
+                            permissionId: permission.id,
+                            email: permission.emailAddress || null,
+                            role: permission.role,
+                            type: permission.type,
+                            domain: permission.domain || null,
+                            displayName: permission.displayName || null,
+                            expirationTime: permission.expirationTime || null,
+                            is_direct: isDirect,
+                            inherited: !!inheritedDetail,
+                            inherited_from: inheritedDetail ? inheritedDetail.inheritedFrom || null : null,
+                            synced_at: new Date(),
+                            synced_by_backend: true
+                        });
+                    });
+                });
+            });
+
+            for (let i = 0; i < operations.length; i += 500) {
+                const batch = this.db.batch();
+                operations.slice(i, i + 500).forEach(operation => operation(batch));
+                await batch.commit();
+            }
+
+            UTILS.log('info', `Permisos de ${folderPermissions.size} carpetas sincronizados para unidad ${driveId}, ${staleRefs.length} eliminados`);
+            return currentIds.size;
+
+        } catch (error) {
+            UTILS.log('error', `Error al sincronizar permisos de carpetas para unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Obtener los permisos de carpetas guardados de una unidad (Map folderId -> permisos con forma de la API)
+    async getFolderPermissionsForDrive(driveId) {
+        try {
+            this.ensureInitialized();
+
+            const snapshot = await this.collection(COLLECTIONS.FOLDER_PERMISSIONS)
+                .where('driveId', '==', driveId)
+                .get();
+
+            const folderPermissions = new Map();
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                if (!folderPermissions.has(data.folderId)) {
+                    folderPermissions.set(data.folderId, []);
+                }
+                folderPermissions.get(data.folderId).push({
+                    id: data.permissionId,
+                    emailAddress: data.email,
+                    role: data.role,
+                    type: data.type,
+                    domain: data.domain,
+                    permissionDetails: [{ inherited: !data.is_direct, inheritedFrom: data.inherited_from }]
+                });
+            });
+
+            return folderPermissions;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener permisos de carpetas de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Sincronizar managers de una unidad (vista derivada de drive_permissions con roles de gestor).
+    // Los documentos usan ID estable driveId_permissionId y se escriben como diferencia: solo se crean,
+    // actualizan (con merge, conservando campos extra) o eliminan los que cambian.
+    // Los documentos con ID aleatorio de versiones anteriores se migran al ID estable.
+    async syncManagersForDrive(driveId, driveName, managersFromAPI) {
+        try {
+            this.ensureInitialized();
+            UTILS.log('info', `Sincronizando ${managersFromAPI.length} managers para unidad ${driveId}`);
+
+            const existingSnapshot = await this.collection(COLLECTIONS.DRIVE_MANAGERS)
+                .where('driveId', '==', driveId)
+                .get();
+
+            // Estado anterior por permissionId (ID estable o documento heredado con ID aleatorio)
+            const previousByPermission = new Map();
+            existingSnapshot.forEach(doc => {
+                const data = doc.data();
+                if (doc.id === this.getManagerDocId(driveId, data.permissionId) || !previousByPermission.has(data.permissionId)) {
+                    previousByPermission.set(data.permissionId, { id: doc.id, ...data });
+                }
+            });
+
+            const result = { total: managersFromAPI.length, added: 0, updated: 0, role_changed: 0, removed: 0, unchanged: 0 };
+            const currentDocIds = new Set();
+            const writer = this.createBulkWriter(`managers ${driveId}`);
+
+            managersFromAPI.forEach(manager => {
+                const managerData = this.buildManagerData(driveId, driveName, manager);
+                const docId = this.getManagerDocId(driveId, managerData.permissionId);
+                const previous = previousByPermission.get(managerData.permissionId);
+                currentDocIds.add(docId);
+
+                if (!previous) {
+                    result.added++;
+                } else if (previous.role !== managerData.role) {
+                    result.role_changed++;
+                } else if (previous.id === docId && !this.hasManagerChanges(previous, managerData)) {
+                    result.unchanged++;
+                    return;
+                } else {
+                    result.updated++;
+                }
+
+                writer.set(this.collection(COLLECTIONS.DRIVE_MANAGERS).doc(docId), managerData, { merge: true });
+            });
+
+            // Eliminar los que ya no son managers y los documentos heredados ya migrados;
+            // los creados fuera del backend no se tocan
+            const currentPermissionIds = new Set(managersFromAPI.map(manager => manager.permissionId || manager.id));
+            existingSnapshot.forEach(doc => {
+                const data = doc.data();
+                if (currentDocIds.has(doc.id) || data.synced_by_backend !== true) {
+                    return;
+                }
+                if (!currentPermissionIds.has(data.permissionId)) {
+                    result.removed++;
+                }
+                writer.delete(doc.ref);
+            });
+
+            // Conteo en la unidad para filtrar las que no tienen managers sin leer drive_managers
+            writer.set(this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId), { managers_count: managersFromAPI.length }, { merge: true });
+
+            await writer.close();
+
+            UTILS.log('info', `Managers de unidad ${driveId}: ${result.added} nuevos, ${result.role_changed} con rol cambiado, ${result.updated} actualizados, ${result.removed} eliminados`);
+            return result;
+
+        } catch (error) {
+            UTILS.log('error', `Error al sincronizar managers para unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    getManagerDocId(driveId, permissionId) {
+        return `${driveId}_${permissionId}`;
+    }
+
+    // Comparar solo los campos que vienen de Drive (synced_at cambia siempre)
+    hasManagerChanges(previous, managerData) {
+        return ['driveName', 'email', 'role', 'type', 'displayName', 'photoLink']
+            .some(field => (previous[field] || null) !== (managerData[field] || null));
+    }
+
+    buildManagerData(driveId, driveName, manager) {
+        return {
+            driveId: driveId,
+            driveName: driveName,
+            email: manager.email || manager.emailAddress,
+            role: manager.role,
+            type: manager.type,
+            permissionId: manager.permissionId || manager.id,
+            displayName: manager.displayName || null,
+            photoLink: manager.photoLink || null,
+            synced_at: new Date(),
+            synced_by_backend: true
+        };
+    }
+
+    // === MIEMBROS (CAMBIOS DESDE LA API) ===
+
+    // Guardar al momento un miembro agregado o con rol cambiado en drive_permissions y drive_managers
+    async saveDriveMember(driveId, permission) {
+        try {
+            this.ensureInitialized();
+
+            const driveDoc = await this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId).get();
+            const driveName = driveDoc.exists ? driveDoc.data().name : null;
+
+            const existingManagers = await this.collection(COLLECTIONS.DRIVE_MANAGERS)
+                .where('driveId', '==', driveId)
+                .where('permissionId', '==', permission.id)
+                .get();
+
+            const managerDocId = this.getManagerDocId(driveId, permission.id);
+            const batch = this.db.batch();
+            batch.set(
+                this.collection(COLLECTIONS.DRIVE_PERMISSIONS).doc(`${driveId}_${permission.id}`),
+                this.buildPermissionData(driveId, driveName, permission)
+            );
+
+            // La vista de managers solo incluye organizer y fileOrganizer; se quitan documentos heredados con ID aleatorio
+            existingManagers.forEach(doc => {
+                if (doc.id !== managerDocId) {
+                    batch.delete(doc.ref);
+                }
+            });
+            if (GOOGLE_DRIVE_API.MANAGER_ROLES.includes(permission.role)) {
+                batch.set(
+                    this.collection(COLLECTIONS.DRIVE_MANAGERS).doc(managerDocId),
+                    this.buildManagerData(driveId, driveName, permission),
+                    { merge: true }
+                );
+            } else {
+                batch.delete(this.collection(COLLECTIONS.DRIVE_MANAGERS).doc(managerDocId));
+            }
+
+            await batch.commit();
+            await this.refreshManagersCount(driveId);
+        } catch (error) {
+            UTILS.log('error', `Error al guardar miembro ${permission.id} de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    async removeDriveMember(driveId, permissionId) {
+        try {
+            this.ensureInitialized();
+
+            const existingManagers = await this.collection(COLLECTIONS.DRIVE_MANAGERS)
+                .where('driveId', '==', driveId)
+                .where('permissionId', '==', permissionId)
+                .get();
+
+            const batch = this.db.batch();
+            batch.delete(this.collection(COLLECTIONS.DRIVE_PERMISSIONS).doc(`${driveId}_${permissionId}`));
+            const managerDocId = this.getManagerDocId(driveId, permissionId);
+            batch.delete(this.collection(COLLECTIONS.DRIVE_MANAGERS).doc(managerDocId));
+            existingManagers.forEach(doc => {
+                if (doc.id !== managerDocId) {
+                    batch.delete(doc.ref);
+                }
+            });
+            await batch.commit();
+            await this.refreshManagersCount(driveId);
+        } catch (error) {
+            UTILS.log('error', `Error al eliminar miembro ${permissionId} de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Recalcular managers_count de la unidad tras un cambio de miembros desde la API
+    async refreshManagersCount(driveId) {
+        const countSnapshot = await this.collection(COLLECTIONS.DRIVE_MANAGERS)
+            .where('driveId', '==', driveId)
+            .count()
+            .get();
+        await this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId).set({
+            managers_count: countSnapshot.data().count
+        }, { merge: true });
+    }
+
+    // === HISTORIAL DE SINCRONIZACIÓN ===
+
+    // Registrar inicio de sincronización
+    // resumeFrom: sincronización interrumpida que se reanuda; sus unidades completadas pasan al nuevo registro
+    async recordSyncStart(syncId, syncType = 'full', resumeFrom = null) {
+        try {
+            this.ensureInitialized();
+            
+            const syncRef = this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
+            await syncRef.set({
+                sync_id: syncId,
+                sync_type: syncType,
+                sync_date: new Date(),
+                status: 'running',
+                start_time: new Date(),
+                drives_count: 0,
+                folders_count: 0,
+                managers_count: 0,
+                completed_drive_ids: resumeFrom ? resumeFrom.completed_drive_ids : [],
+                resumed_from: resumeFrom ? resumeFrom.sync_id : null,
+                errors: []
+            });
+
+            UTILS.log('info', `Sincronización registrada: ${syncId}`);
+        } catch (error) {
+            UTILS.log('error', 'Error al registrar inicio de sincronización', null, error);
+            throw error;
+        }
+    }
+
+    // Actualizar progreso de sincronización
+    async updateSyncProgress(syncId, progress) {
+        try {
+            this.ensureInitialized();
+            
+            const syncRef = this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
+            await syncRef.update({
+                ...progress,
+                updated_at: new Date()
+            });
+
+        } catch (error) {
+            UTILS.log('error', 'Error al actualizar progreso de sincronización', null, error);
+        }
+    }
+
+    // Registro de sync_history de una sincronización o null si no existe
+    async getSyncRecord(syncId) {
+        try {
+            this.ensureInitialized();
+
+            const doc = await this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId).get();
+            return doc.exists ? doc.data() : null;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener el registro de sincronización ${syncId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Checkpoint por unidad: agrega la unidad a completed_drive_ids junto con el progreso
+    async recordDriveCheckpoint(syncId, driveId, progress) {
+        try {
+            this.ensureInitialized();
+
+            await this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId).update({
+                ...progress,
+                completed_drive_ids: FieldValue.arrayUnion(driveId),
+                updated_at: new Date()
+            });
+        } catch (error) {
+            UTILS.log('error', `Error al guardar checkpoint de la unidad ${driveId}`, null, error);
+        }
+    }
+
+    // Marcar como interrumpidos los registros que quedaron en running: solo quien tiene el lease
+    // sincroniza, así que pertenecen a instancias que terminaron sin cerrarlos
+    async markInterruptedSyncs(detectedBySyncId) {
+        try {
+            this.ensureInitialized();
+
+            const snapshot = await this.collection(COLLECTIONS.SYNC_HISTORY)
+                .where('status', '==', SYNC_STATUS.RUNNING)
+                .get();
+            const orphaned = snapshot.docs.filter(doc => doc.id !== detectedBySyncId);
+            if (orphaned.length === 0) {
+                return [];
+            }
+
+            const writer = this.createBulkWriter('interrupted syncs');
+            orphaned.forEach(doc => writer.set(doc.ref, {
+                status: SYNC_STATUS.INTERRUPTED,
+                interrupted_at: new Date(),
+                interrupted_detected_by: detectedBySyncId
+            }, { merge: true }));
+            try {
+                await writer.close();
+            } catch (error) {
+                UTILS.log('error', `Sincronizaciones que siguen en running: ${orphaned.map(doc => doc.id).join(', ')}`);
+                throw error;
+            }
+
+            const interrupted = orphaned.map(doc => ({
+                sync_id: doc.id,
+                sync_type: doc.get('sync_type'),
+                current_drive: doc.get('current_drive') || null
+            }));
+            UTILS.log('warn', `Sincronizaciones interrumpidas detectadas: ${interrupted.map(sync => `${sync.sync_id} (${sync.current_drive || 'sin progreso'})`).join(', ')}`);
+            return interrupted;
+        } catch (error) {
+            UTILS.log('error', 'Error al marcar sincronizaciones interrumpidas', null, error);
+            throw error;
+        }
+    }
+
+    // La última sincronización completa si quedó interrumpida y no se ha reanudado; null en otro caso
+    async getResumableSync() {
+        try {
+            this.ensureInitialized();
+
+            const snapshot = await this.collection(COLLECTIONS.SYNC_HISTORY)
+                .orderBy('sync_date', 'desc')
+                .limit(20)
+                .get();
+            const lastFull = snapshot.docs.find(doc => doc.get('sync_type') === 'full');
+
+            if (!lastFull || lastFull.get('status') !== SYNC_STATUS.INTERRUPTED || lastFull.get('resumed_by')) {
+                return null;
+            }
+            return {
+                sync_id: lastFull.id,
+                completed_drive_ids: lastFull.get('completed_drive_ids') || []
+            };
+        } catch (error) {
+            UTILS.log('error', 'Error al buscar una sincronización para reanudar', null, error);
+            return null;
+        }
+    }
+
+    async markSyncResumed(previousSyncId, syncId) {
+        try {
+            this.ensureInitialized();
+            await this.collection(COLLECTIONS.SYNC_HISTORY).doc(previousSyncId).update({ resumed_by: syncId });
+        } catch (error) {
+            UTILS.log('error', `Error al marcar la sincronización ${previousSyncId} como reanudada`, null, error);
+        }
+    }
+
+    // Completar sincronización
+    async completeSyncRecord(syncId, stats, status = 'completed') {
+        try {
+            this.ensureInitialized();
+            
+            const syncRef = this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
+            await syncRef.update({
+                status: status,
+                end_time: new Date(),
+                duration_ms: stats.duration_ms,
+                duration_minutes: stats.duration_minutes,
+                drives_count: stats.drives_count || 0,
+                folders_count: stats.folders_count || 0,
+                managers_count: stats.managers_count || 0,
+                permissions_count: stats.permissions_count || 0,
+                folder_permissions_count: stats.folder_permissions_count || 0,
+                restricted_folders_count: stats.restricted_folders_count || 0,
+                changes_count: stats.changes_count || 0,
+                files_count: stats.files_count || 0,
+                total_bytes: stats.total_bytes || 0,
+                drives_skipped: stats.drives_skipped || 0,
+                drives_removed: stats.drives_removed || 0,
+                drives_restored: stats.drives_restored || 0,
+                folders_removed: stats.folders_removed || 0,
+                managers_added: stats.managers_added || 0,
+                managers_removed: stats.managers_removed || 0,
+                managers_role_changed: stats.managers_role_changed || 0,
+                permissions_removed: stats.permissions_removed || 0,
+                sync_changes_count: stats.sync_changes_count || 0,
+                files_removed: stats.files_removed || 0,
+                folder_list_calls: stats.folder_list_calls || 0,
+                api_calls_saved: stats.api_calls_saved || 0,
+                api_calls: stats.api_calls || 0,
+                api_retries: stats.api_retries || 0,
+                rate_limit_errors: stats.rate_limit_errors || 0,
+                concurrency: {
+                    drive_fetch: stats.drive_pool || null,
+                    firestore_write: stats.firestore_pool || null
+                },
+                errors: stats.errors || [],
+                completed_at: new Date()
+            });
+
+            UTILS.log('info', `Sincronización completada: ${syncId} - Estado: ${status}`);
+        } catch (error) {
+            UTILS.log('error', 'Error al completar registro de sincronización', null, error);
+        }
+    }
+
+    // === REGISTRO DE CAMBIOS (SYNC_CHANGES) ===
+
+    // Entrada del registro: entity 'drive' | 'folder' | 'member'; change 'added' | 'removed' | 'restored' | 'renamed' |
+    // 'moved' | 'role_changed'; before/after con los valores que describen el cambio
+    buildChangeEntry(entity, change, fields = {}) {
+        return {
+            entity: entity,
+            change: change,
+            drive_id: null,
+            drive_name: null,
+            entity_id: null,
+            name: null,
+            email: null,
+            before: null,
+            after: null,
+            ...fields
+        };
+    }
+
+    // Guardar los cambios detectados por una sincronización; detected_at es cuándo se notaron
+    async saveSyncChanges(syncId, changes) {
+        try {
+            this.ensureInitialized();
+            if (changes.length === 0) {
+                return 0;
+            }
+
+            const detectedAt = new Date();
+            const writer = this.createBulkWriter('sync-changes');
+            changes.forEach(change => {
+                writer.set(this.collection(COLLECTIONS.SYNC_CHANGES).doc(), {
+                    ...change,
+                    email: change.email ? change.email.toLowerCase() : null,
+                    sync_id: syncId,
+                    detected_at: detectedAt
+                });
+            });
+            await writer.close();
+
+            UTILS.log('info', `${changes.length} cambios registrados en ${COLLECTIONS.SYNC_CHANGES} - Sync: ${syncId}`);
+            return changes.length;
+        } catch (error) {
+            UTILS.log('error', 'Error al guardar el registro de cambios', null, error);
+            throw error;
+        }
+    }
+
+    // Consultar el registro por unidad, email, entidad, tipo de cambio y rango de fechas (más recientes primero)
+    async getSyncChanges(filters = {}) {
+        try {
+            this.ensureInitialized();
+
+            let query = this.collection(COLLECTIONS.SYNC_CHANGES);
+            if (filters.driveId) {
+                query = query.where('drive_id', '==', filters.driveId);
+            }
+            if (filters.email) {
+                query = query.where('email', '==', filters.email.toLowerCase());
+            }
+            if (filters.entity) {
+                query = query.where('entity', '==', filters.entity);
+            }
+            if (filters.change) {
+                query = query.where('change', '==', filters.change);
+            }
+            if (filters.syncId) {
+                query = query.where('sync_id', '==', filters.syncId);
+            }
+            if (filters.from) {
+                query = query.where('detected_at', '>=', filters.from);
+            }
+            if (filters.to) {
+                query = query.where('detected_at', '<=', filters.to);
+            }
+
+            const snapshot = await query
+                .orderBy('detected_at', 'desc')
+                .limit(filters.limit || 100)
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            UTILS.log('error', 'Error al consultar el registro de cambios', null, error);
+            throw error;
+        }
+    }
+
+    // Eliminar entradas del registro más antiguas que retentionDays
+    async cleanupSyncChanges(retentionDays) {
+        try {
+            this.ensureInitialized();
+
+            const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+            const snapshot = await this.collection(COLLECTIONS.SYNC_CHANGES)
+                .where('detected_at', '<', cutoff)
+                .select()
+                .get();
+
+            await this.deleteRefs(snapshot.docs.map(doc => doc.ref));
+
+            if (snapshot.size > 0) {
+                UTILS.log('info', `${snapshot.size} cambios anteriores a ${cutoff.toISOString()} eliminados del registro`);
+            }
+            return snapshot.size;
+        } catch (error) {
+            UTILS.log('error', 'Error al limpiar el registro de cambios', null, error);
+            return 0;
+        }
+    }
+
+    // === ESTADO DE SINCRONIZACIÓN ===
+
+    // Obtener estado actual de sincronización
+    async getSyncStatus() {
+        try {
+            this.ensureInitialized();
+            
+            const statusRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('current');
+            const doc = await statusRef.get();
+            
+            if (doc.exists) {
+                return doc.data();
+            }
+            
+            return {
+                status: 'idle',
+                last_sync: null,
+                current_sync_id: null
+            };
+        } catch (error) {
+            UTILS.log('error', 'Error al obtener estado de sincronización', null, error);
+            return { status: 'unknown' };
+        }
+    }
+
+    // Actualizar estado de sincronización
+    async updateSyncStatus(status, syncId = null) {
+        try {
+            this.ensureInitialized();
+            
+            const statusRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('current');
+            const updateData = {
+                status: status,
+                updated_at: new Date()
+            };
+            
+            if (syncId) {
+                updateData.current_sync_id = syncId;
+            }
+            
+            if (status === 'completed' || status === 'failed' || status === SYNC_STATUS.CANCELLED) {
+                updateData.last_sync = new Date();
+                updateData.current_sync_id = null;
+            }
+            
+            await statusRef.set(updateData, { merge: true });
+            
+        } catch (error) {
+            UTILS.log('error', 'Error al actualizar estado de sincronización', null, error);
+        }
+    }
+
+    // === BLOQUEO DE SINCRONIZACIÓN (LEASE) ===
+
+    // Documento sync_status/lock: { sync_id, sync_type, instance_id, acquired_at, heartbeat_at, expires_at }.
+    // Se toma en una transacción; un lease vencido (sin heartbeat) puede tomarlo otra instancia.
+    // Devuelve { acquired, holder } donde holder es el lease vigente de otra sincronización si no se obtuvo.
+    async acquireSyncLock(syncId, syncType, instanceId, ttlSeconds) {
+        try {
+            this.ensureInitialized();
+
+            const lockRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('lock');
+            return await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(lockRef);
+                const now = new Date();
+                const current = doc.exists ? doc.data() : null;
+
+                if (current && current.sync_id !== syncId && this.toDate(current.expires_at) > now) {
+                    return { acquired: false, holder: current };
+                }
+
+                if (current && current.sync_id !== syncId) {
+                    UTILS.log('warn', `Lease de sincronización vencido tomado - Anterior: ${current.sync_id} (${current.instance_id})`);
+                }
+
+                transaction.set(lockRef, {
+                    sync_id: syncId,
+                    sync_type: syncType,
+                    instance_id: instanceId,
+                    acquired_at: now,
+                    heartbeat_at: now,
+                    expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+                    taken_over_from: current ? current.sync_id : null
+                });
+                return { acquired: true, holder: null };
+            });
+        } catch (error) {
+            UTILS.log('error', 'Error al tomar el bloqueo de sincronización', null, error);
+            throw error;
+        }
+    }
+
+    // Renovar el lease; devuelve el lease renovado (con cancel_requested_at si se pidió cancelar)
+    // o null si ya no pertenece a syncId (otra instancia lo tomó)
+    async renewSyncLock(syncId, ttlSeconds) {
+        try {
+            this.ensureInitialized();
+
+            const lockRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('lock');
+            return await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(lockRef);
+                if (!doc.exists || doc.data().sync_id !== syncId) {
+                    return null;
+                }
+
+                const now = new Date();
+                const renewal = {
+                    heartbeat_at: now,
+                    expires_at: new Date(now.getTime() + ttlSeconds * 1000)
+                };
+                transaction.update(lockRef, renewal);
+                return { ...doc.data(), ...renewal };
+            });
+        } catch (error) {
+            UTILS.log('error', 'Error al renovar el bloqueo de sincronización', null, error);
+            throw error;
+        }
+    }
+
+    // Liberar el lease solo si sigue perteneciendo a syncId
+    async releaseSyncLock(syncId) {
+        try {
+            this.ensureInitialized();
+
+            const lockRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('lock');
+            await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(lockRef);
+                if (doc.exists && doc.data().sync_id === syncId) {
+                    transaction.delete(lockRef);
+                }
+            });
+        } catch (error) {
+            UTILS.log('error', 'Error al liberar el bloqueo de sincronización', null, error);
+        }
+    }
+
+    // Pedir la cancelación de la sincronización que tiene el lease; la instancia que la ejecuta la ve
+    // en el siguiente heartbeat. Devuelve false si syncId no tiene un lease vigente (terminó o no existe)
+    async requestSyncCancel(syncId) {
+        try {
+            this.ensureInitialized();
+
+            const lockRef = this.collection(COLLECTIONS.SYNC_STATUS).doc('lock');
+            const syncRef = this.collection(COLLECTIONS.SYNC_HISTORY).doc(syncId);
+            return await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(lockRef);
+                if (!doc.exists || doc.data().sync_id !== syncId || this.toDate(doc.data().expires_at) <= new Date()) {
+                    return false;
+                }
+
+                const now = new Date();
+                transaction.update(lockRef, { cancel_requested_at: now });
+                transaction.set(syncRef, { cancel_requested_at: now }, { merge: true });
+                return true;
+            });
+        } catch (error) {
+            UTILS.log('error', `Error al solicitar la cancelación de la sincronización ${syncId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Lease vigente o null si no hay ninguno (o ya venció)
+    async getSyncLock() {
+        try {
+            this.ensureInitialized();
+
+            const doc = await this.collection(COLLECTIONS.SYNC_STATUS).doc('lock').get();
+            if (!doc.exists) {
+                return null;
+            }
+            const lock = doc.data();
+            return this.toDate(lock.expires_at) > new Date() ? lock : null;
+        } catch (error) {
+            UTILS.log('error', 'Error al obtener el bloqueo de sincronización', null, error);
+            return null;
+        }
+    }
+
+    // Los Timestamp de Firestore se comparan como Date
+    toDate(value) {
+        return value && typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    }
+
+    // === LIMPIEZA Y MANTENIMIENTO ===
+
+    // Limpiar registros antiguos de sincronización (mantener últimos 50)
+    async cleanupSyncHistory(keepLast = 50) {
+        try {
+            this.ensureInitialized();
+            
+            const historyRef = this.collection(COLLECTIONS.SYNC_HISTORY)
+                .orderBy('sync_date', 'desc')
+                .offset(keepLast);
+            
+            const snapshot = await historyRef.get();
+            
+            if (snapshot.empty) {
+                return 0;
+            }
+            
+            const batch = this.db.batch();
+            snapshot.forEach(doc => {
+                batch.delete(doc.ref);
+            });
+            
+            await batch.commit();
+            
+            UTILS.log('info', `${snapshot.size} registros antiguos de sincronización eliminados`);
+            return snapshot.size;
+            
+        } catch (error) {
+            UTILS.log('error', 'Error al limpiar historial de sincronización', null, error);
+            return 0;
+        }
+    }
+
+    // Obtener estadísticas de la base de datos
+    async getDatabaseStats() {
+        try {
+            this.ensureInitialized();
+            
+            const [drivesSnapshot, deletedDrivesSnapshot, foldersSnapshot, managersSnapshot, permissionsSnapshot, filesSnapshot] = await Promise.all([
+                this.collection(COLLECTIONS.SHARED_DRIVES).count().get(),
+                this.collection(COLLECTIONS.SHARED_DRIVES).where('deleted_at', '!=', null).count().get(),
+                this.collection(COLLECTIONS.FOLDERS).count().get(),
+                this.collection(COLLECTIONS.DRIVE_MANAGERS).count().get(),
+                this.collection(COLLECTIONS.DRIVE_PERMISSIONS).count().get(),
+                this.collection(COLLECTIONS.FILES).count().get()
+            ]);
+            
+            return {
+                drives_count: drivesSnapshot.data().count - deletedDrivesSnapshot.data().count,
+                deleted_drives_count: deletedDrivesSnapshot.data().count,
+                folders_count: foldersSnapshot.data().count,
+                managers_count: managersSnapshot.data().count,
+                permissions_count: permissionsSnapshot.data().count,
+                files_count: filesSnapshot.data().count,
+                timestamp: new Date()
+            };
+            
+        } catch (error) {
+            UTILS.log('error', 'Error al obtener estadísticas de la base de datos', null, error);
+            return {
+                drives_count: 0,
+                deleted_drives_count: 0,
+                folders_count: 0,
+                managers_count: 0,
+                permissions_count: 0,
+                files_count: 0,
+                error: error.message
+            };
+        }
+    }
+
+    // === GUARDAR NUEVA UNIDAD COMPARTIDA ===
+
+    async saveNewSharedDrive(driveData, managers = [], folders = []) {
+        try {
+            this.ensureInitialized();
+            
+            const driveRef = this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveData.id);
             
             // Preparar datos de la unidad
             const firestoreData = {
@@ -486,6 +1646,9 @@ class FirestoreSyncService {
                 createdTime: driveData.createdTime,
                 hidden: driveData.hidden || false,
                 restrictions: driveData.restrictions || {},
+                impersonated_user_is_member: true,
+                // Sin managers no se llama a syncManagersForDrive; hasNoManagers y el orden necesitan el campo
+                managers_count: 0,
                 created_by_frontend: true,
                 created_at: new Date(),
                 synced_at: new Date(),
@@ -500,6 +1663,11 @@ class FirestoreSyncService {
             if (managers && managers.length > 0) {
                 await this.syncManagersForDrive(driveData.id, driveData.name, managers);
             }
+
+            // Carpetas creadas desde una plantilla
+            if (folders && folders.length > 0) {
+                await this.syncFoldersForDrive(driveData.id, folders);
+            }
             
             return firestoreData;
         } catch (error) {
@@ -508,18 +1676,314 @@ class FirestoreSyncService {
         }
     }
 
+    // === ACTUALIZAR / ELIMINAR UNIDAD COMPARTIDA ===
+
+    // Reflejar de inmediato un cambio hecho desde la API (renombrar, tema, ocultar, restricciones)
+    async updateSharedDrive(driveData) {
+        try {
+            this.ensureInitialized();
+
+            const driveRef = this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveData.id);
+            const firestoreData = {
+                id: driveData.id,
+                updated_at: new Date()
+            };
+
+            ['name', 'kind', 'colorRgb', 'backgroundImageFile', 'capabilities', 'createdTime', 'hidden', 'restrictions'].forEach(field => {
+                if (driveData[field] !== undefined) {
+                    firestoreData[field] = driveData[field];
+                }
+            });
+
+            await driveRef.set(firestoreData, { merge: true });
+            UTILS.log('info', `Unidad compartida actualizada en Firestore: ${driveData.id}`);
+
+            return firestoreData;
+        } catch (error) {
+            UTILS.log('error', `Error al actualizar unidad ${driveData.id} en Firestore`, null, error);
+            throw error;
+        }
+    }
+
+    // Eliminar la unidad y todo lo que se guardó de ella (carpetas, archivos, permisos y token)
+    async deleteSharedDrive(driveId) {
+        try {
+            this.ensureInitialized();
+
+            const dependentCollections = [
+                COLLECTIONS.FOLDERS,
+                COLLECTIONS.FILES,
+                COLLECTIONS.DRIVE_MANAGERS,
+                COLLECTIONS.DRIVE_PERMISSIONS,
+                COLLECTIONS.FOLDER_PERMISSIONS
+            ];
+            const deleted = {};
+
+            for (const collectionName of dependentCollections) {
+                const snapshot = await this.collection(collectionName)
+                    .where('driveId', '==', driveId)
+                    .select()
+                    .get();
+
+                deleted[collectionName] = await this.deleteRefs(snapshot.docs.map(doc => doc.ref));
+            }
+
+            await this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).doc(driveId).delete();
+            await this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId).delete();
+
+            UTILS.log('info', `Unidad ${driveId} eliminada de Firestore`, deleted);
+            return deleted;
+        } catch (error) {
+            UTILS.log('error', `Error al eliminar unidad ${driveId} de Firestore`, null, error);
+            throw error;
+        }
+    }
+
+    // Borrar definitivamente (con todos sus datos) las unidades marcadas como eliminadas hace más de retentionDays
+    async purgeDeletedSharedDrives(retentionDays) {
+        try {
+            this.ensureInitialized();
+
+            const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+            const snapshot = await this.collection(COLLECTIONS.SHARED_DRIVES)
+                .where('deleted_at', '<', cutoff)
+                .select()
+                .get();
+
+            for (const doc of snapshot.docs) {
+                await this.deleteSharedDrive(doc.id);
+            }
+
+            if (snapshot.size > 0) {
+                UTILS.log('info', `${snapshot.size} unidades eliminadas antes de ${cutoff.toISOString()} purgadas`);
+            }
+            return snapshot.size;
+        } catch (error) {
+            UTILS.log('error', 'Error al purgar unidades marcadas como eliminadas', null, error);
+            return 0;
+        }
+    }
+
+    // Colecciones con datos de cada unidad, con la clave usada en las estadísticas de limpieza
+    getDriveDataCollections() {
+        return {
+            folders: COLLECTIONS.FOLDERS,
+            managers: COLLECTIONS.DRIVE_MANAGERS,
+            permissions: COLLECTIONS.DRIVE_PERMISSIONS,
+            folder_permissions: COLLECTIONS.FOLDER_PERMISSIONS,
+            files: COLLECTIONS.FILES
+        };
+    }
+
+    // Eliminar carpetas, managers, permisos y archivos de las unidades indicadas, junto con su token de cambios
+    async deleteDriveData(driveIds) {
+        try {
+            this.ensureInitialized();
+
+            const removed = {};
+            for (const [key, collectionName] of Object.entries(this.getDriveDataCollections())) {
+                removed[key] = 0;
+                // Firestore admite hasta 30 valores en un filtro "in"
+                for (let i = 0; i < driveIds.length; i += 30) {
+                    const snapshot = await this.collection(collectionName)
+                        .where('driveId', 'in', driveIds.slice(i, i + 30))
+                        .select()
+                        .get();
+                    removed[key] += await this.deleteRefs(snapshot.docs.map(doc => doc.ref));
+                }
+            }
+            await this.deleteRefs(driveIds.map(driveId => this.collection(COLLECTIONS.DRIVE_SYNC_TOKENS).doc(driveId)));
+
+            const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                UTILS.log('info', `${total} documentos de ${driveIds.length} unidades inexistentes eliminados`, removed);
+            }
+            return removed;
+        } catch (error) {
+            UTILS.log('error', 'Error al eliminar datos de unidades inexistentes', null, error);
+            throw error;
+        }
+    }
+
+    // Barrido completo: eliminar carpetas, managers, permisos y archivos cuyo driveId no corresponde a ningún
+    // documento de shared_drives (restos de versiones anteriores). Lee las colecciones enteras, por eso
+    // solo se ejecuta desde el mantenimiento
+    async deleteOrphanedDriveData() {
+        try {
+            this.ensureInitialized();
+
+            const drivesSnapshot = await this.collection(COLLECTIONS.SHARED_DRIVES).select().get();
+            const knownDriveIds = new Set(drivesSnapshot.docs.map(doc => doc.id));
+            const removed = {};
+
+            for (const [key, collectionName] of Object.entries(this.getDriveDataCollections())) {
+                const snapshot = await this.collection(collectionName).select('driveId').get();
+                const orphanRefs = snapshot.docs
+                    .filter(doc => !knownDriveIds.has(doc.get('driveId')))
+                    .map(doc => doc.ref);
+
+                removed[key] = await this.deleteRefs(orphanRefs);
+            }
+
+            const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                UTILS.log('info', `${total} documentos de unidades inexistentes eliminados`, removed);
+            }
+            return removed;
+        } catch (error) {
+            UTILS.log('error', 'Error al eliminar datos de unidades inexistentes', null, error);
+            throw error;
+        }
+    }
+
+    // Eliminar documentos con el escritor masivo
+    async deleteRefs(refs) {
+        const writer = this.createBulkWriter('delete');
+        refs.forEach(ref => writer.delete(ref));
+        await writer.close();
+        return refs.length;
+    }
+
+    // === ESCRITURA MASIVA ===
+
+    // Escritor sobre BulkWriter: agrupa las operaciones y regula el ritmo por sí mismo (sin el límite
+    // de 500 de un WriteBatch) y reintenta los errores transitorios hasta SYNC.FIRESTORE_WRITE_ATTEMPTS.
+    // close() espera todas las escrituras y lanza si alguna falló definitivamente.
+    createBulkWriter(label) {
+        const writer = this.db.bulkWriter();
+        const failures = [];
+
+        writer.onWriteError(error => {
+            if (RETRYABLE_WRITE_CODES.includes(error.code) && error.failedAttempts < SYNC.FIRESTORE_WRITE_ATTEMPTS) {
+                UTILS.log('debug', `[${label}] Reintentando escritura en ${error.documentRef.path} (intento ${error.failedAttempts})`);
+                return true;
+            }
+            failures.push(error);
+            return false;
+        });
+
+        // Los fallos se reportan en close(); evitar rechazos sin manejar por operación
+        const track = promise => {
+            promise.catch(() => {});
+        };
+
+        return {
+            set: (ref, data, options) => track(options ? writer.set(ref, data, options) : writer.set(ref, data)),
+            delete: ref => track(writer.delete(ref)),
+            close: async () => {
+                await writer.close();
+                if (failures.length > 0) {
+                    const error = new Error(`[${label}] ${failures.length} escrituras fallidas: ${failures[0].message}`);
+                    error.code = failures[0].code;
+                    throw error;
+                }
+            }
+        };
+    }
+
+    // === PLANTILLAS DE UNIDADES ===
+
+    async saveDriveTemplate(template) {
+        try {
+            this.ensureInitialized();
+
+            const templateRef = this.collection(COLLECTIONS.DRIVE_TEMPLATES).doc(template.id);
+            const existingDoc = await templateRef.get();
+            const templateData = {
+                ...template,
+                created_at: existingDoc.exists ? existingDoc.data().created_at : new Date(),
+                updated_at: new Date()
+            };
+
+            await templateRef.set(templateData);
+            UTILS.log('info', `Plantilla de unidad guardada: ${template.name} (ID: ${template.id})`);
+
+            return templateData;
+        } catch (error) {
+            UTILS.log('error', `Error al guardar plantilla ${template.id}`, null, error);
+            throw error;
+        }
+    }
+
+    // Devuelve null si la plantilla no existe
+    async getDriveTemplate(templateId) {
+        try {
+            this.ensureInitialized();
+
+            const doc = await this.collection(COLLECTIONS.DRIVE_TEMPLATES).doc(templateId).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener plantilla ${templateId}`, null, error);
+            throw error;
+        }
+    }
+
+    async getDriveTemplates() {
+        try {
+            this.ensureInitialized();
+
+            const snapshot = await this.collection(COLLECTIONS.DRIVE_TEMPLATES)
+                .orderBy('name')
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            UTILS.log('error', 'Error al obtener plantillas de unidades', null, error);
+            throw error;
+        }
+    }
+
+    // Devuelve false si la plantilla no existía
+    async deleteDriveTemplate(templateId) {
+        try {
+            this.ensureInitialized();
+
+            const templateRef = this.collection(COLLECTIONS.DRIVE_TEMPLATES).doc(templateId);
+            const doc = await templateRef.get();
+            if (!doc.exists) {
+                return false;
+            }
+
+            await templateRef.delete();
+            UTILS.log('info', `Plantilla de unidad eliminada: ${templateId}`);
+            return true;
+        } catch (error) {
+            UTILS.log('error', `Error al eliminar plantilla ${templateId}`, null, error);
+            throw error;
+        }
+    }
+
     // === MÉTODOS DE LECTURA PARA API ===
 
-    async getSharedDrives() {
+    // Devuelve null si la unidad no está en Firestore
+    async getSharedDrive(driveId) {
+        try {
+            this.ensureInitialized();
+
+            const doc = await this.collection(COLLECTIONS.SHARED_DRIVES).doc(driveId).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener unidad ${driveId} desde Firestore`, null, error);
+            throw error;
+        }
+    }
+
+
+    // Las unidades marcadas como eliminadas solo se incluyen con includeDeleted
+    async getSharedDrives(options = {}) {
+        const { includeDeleted = false } = options;
         this.ensureInitialized();
         
         try {
-            const snapshot = await this.db.collection(COLLECTIONS.SHARED_DRIVES)
+            const snapshot = await this.collection(COLLECTIONS.SHARED_DRIVES)
                 .orderBy('name')
                 .get();
             
             const drives = [];
             snapshot.forEach(doc => {
+                if (!includeDeleted && doc.get('deleted_at')) {
+                    return;
+                }
                 drives.push({
                     id: doc.id,
                     ...doc.data()
@@ -535,6 +1999,152 @@ class FirestoreSyncService {
         }
     }
 
+    // === LECTURA PAGINADA ===
+
+    // Página de unidades. Filtros: hidden (true/false), hasNoManagers y createdByFrontend (solo true:
+    // Firestore no encuentra documentos sin el campo); las marcadas como eliminadas solo con includeDeleted
+    async listSharedDrives(filters = {}, page = {}) {
+        try {
+            this.ensureInitialized();
+
+            let query = this.collection(COLLECTIONS.SHARED_DRIVES);
+            if (filters.hidden !== undefined) {
+                query = query.where('hidden', '==', filters.hidden);
+            }
+            if (filters.hasNoManagers) {
+                query = query.where('managers_count', '==', 0);
+            }
+            if (filters.createdByFrontend) {
+                query = query.where('created_by_frontend', '==', true);
+            }
+
+            return await this.paginate(COLLECTIONS.SHARED_DRIVES, query, {
+                ...page,
+                filter: filters.includeDeleted ? null : doc => !doc.get('deleted_at')
+            });
+        } catch (error) {
+            UTILS.log('error', 'Error al listar unidades compartidas', null, error);
+            throw error;
+        }
+    }
+
+    // Página de carpetas de una unidad. Filtros: parentId ('root' para las de primer nivel) y createdByFrontend.
+    // Las carpetas de una unidad marcada como eliminada solo se devuelven con includeDeleted
+    async listFoldersForDrive(driveId, filters = {}, page = {}) {
+        try {
+            this.ensureInitialized();
+
+            if (!filters.includeDeleted && (await this.getDeletedDriveIds()).has(driveId)) {
+                return { items: [], next_cursor: null };
+            }
+
+            let query = this.collection(COLLECTIONS.FOLDERS).where('driveId', '==', driveId);
+            if (filters.parentId) {
+                query = query.where('parent_id', '==', filters.parentId === 'root' ? null : filters.parentId);
+            }
+            if (filters.createdByFrontend) {
+                query = query.where('created_by_frontend', '==', true);
+            }
+
+            return await this.paginate(COLLECTIONS.FOLDERS, query, page);
+        } catch (error) {
+            UTILS.log('error', `Error al listar carpetas de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Página de miembros (drive_permissions) de una unidad o de todas. Filtros: driveId, email (prefijo,
+    // sin distinguir mayúsculas; fuerza el orden por email), role, type e isManager.
+    // Los miembros de unidades marcadas como eliminadas solo se devuelven con includeDeleted
+    async listMembers(filters = {}, page = {}) {
+        try {
+            this.ensureInitialized();
+
+            const deletedDriveIds = filters.includeDeleted ? new Set() : await this.getDeletedDriveIds();
+            if (filters.driveId && deletedDriveIds.has(filters.driveId)) {
+                return { items: [], next_cursor: null };
+            }
+
+            let query = this.collection(COLLECTIONS.DRIVE_PERMISSIONS);
+            if (filters.driveId) {
+                query = query.where('driveId', '==', filters.driveId);
+            }
+            if (filters.role) {
+                query = query.where('role', '==', filters.role);
+            }
+            if (filters.type) {
+                query = query.where('type', '==', filters.type);
+            }
+            if (filters.isManager !== undefined) {
+                query = query.where('is_manager', '==', filters.isManager);
+            }
+
+            let sortedPage = page;
+            if (filters.email) {
+                const prefix = filters.email.toLowerCase();
+                query = query.where('email', '>=', prefix).where('email', '<=', `${prefix}\uf8ff`);
+                sortedPage = { ...page, sort: 'email' };
+            }
+
+            return await this.paginate(COLLECTIONS.DRIVE_PERMISSIONS, query, {
+                ...sortedPage,
+                filter: deletedDriveIds.size > 0 ? doc => !deletedDriveIds.has(doc.get('driveId')) : null
+            });
+        } catch (error) {
+            UTILS.log('error', 'Error al listar miembros', null, error);
+            throw error;
+        }
+    }
+
+    // IDs de las unidades marcadas como eliminadas (conservan sus datos hasta la purga)
+    async getDeletedDriveIds() {
+        const snapshot = await this.collection(COLLECTIONS.SHARED_DRIVES)
+            .where('deleted_at', '!=', null)
+            .select()
+            .get();
+        return new Set(snapshot.docs.map(doc => doc.id));
+    }
+
+    // Ejecutar una consulta por páginas: { items, next_cursor }. El cursor es el ID del último documento
+    // devuelto; filter descarta en memoria lo que Firestore no puede filtrar sin acortar la página.
+    // next_cursor es null cuando no quedan más documentos (la última página puede llegar vacía)
+    async paginate(collectionName, query, options = {}) {
+        const { sort, order = 'asc', limit, cursor = null, filter = null } = options;
+
+        let lastDoc = null;
+        if (cursor) {
+            lastDoc = await this.collection(collectionName).doc(cursor).get();
+            // Un cursor de otro orden o de un documento sin el campo de orden no sirve para startAfter
+            if (!lastDoc.exists || lastDoc.get(sort) === undefined) {
+                const error = new Error(`Cursor inválido: ${cursor}`);
+                error.code = 400;
+                throw error;
+            }
+        }
+
+        const orderedQuery = query.orderBy(sort, order);
+        const items = [];
+        let exhausted = false;
+
+        while (items.length < limit && !exhausted) {
+            const batchSize = limit - items.length;
+            const snapshot = await (lastDoc ? orderedQuery.startAfter(lastDoc) : orderedQuery).limit(batchSize).get();
+            exhausted = snapshot.size < batchSize;
+
+            snapshot.docs.forEach(doc => {
+                lastDoc = doc;
+                if (!filter || filter(doc)) {
+                    items.push({ id: doc.id, ...doc.data() });
+                }
+            });
+        }
+
+        return {
+            items: items,
+            next_cursor: exhausted ? null : lastDoc.id
+        };
+    }
+
 
 }
 
@@ -1,48 +1,104 @@
+const fs = require('fs');
+const path = require('path');
 const { google } = require('googleapis');
 const { GoogleAuth } = require('google-auth-library');
-const { GOOGLE_DRIVE_API, IMPERSONATION, UTILS } = require('./config');
+const { PATHS, GOOGLE_DRIVE_API, IMPERSONATION, SYNC, UTILS } = require('./config');
+
+// Campos de archivo usados tanto en el inventario como en la Changes API
+const FILE_FIELDS = 'id,name,parents,mimeType,size,createdTime,modifiedTime,lastModifyingUser(emailAddress)';
+
+// Campos de carpeta que indican permisos directos o acceso limitado
+const FOLDER_ACCESS_FIELDS = 'hasAugmentedPermissions,inheritedPermissionsDisabled';
+
+const DRIVE_FIELDS = 'id,name,kind,colorRgb,backgroundImageFile,capabilities,createdTime,hidden,restrictions';
+
+const PERMISSION_FIELDS = 'id,emailAddress,role,type,displayName,photoLink,domain,expirationTime,deleted,allowFileDiscovery';
+
+// Motivos de 403 que indican límite de cuota y se pueden reintentar
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'backendError'];
+
+// Errores de red transitorios
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Orden de los roles de Drive de menor a mayor acceso
+const ROLE_RANK = {
+    reader: 1,
+    commenter: 2,
+    writer: 3,
+    fileOrganizer: 4,
+    organizer: 5
+};
 
 class GoogleDriveSyncService {
-    constructor() {
+    // Sin tenant se usan las variables de entorno (tenant por defecto)
+    constructor(tenant = null) {
         this.drive = null;
         this.auth = null;
         this.initialized = false;
+        this.tenant = tenant;
+        this.impersonateEmail = (tenant && tenant.impersonate_user_email) || IMPERSONATION.USER_EMAIL;
+        this.domainAdminAccess = tenant && typeof tenant.domain_admin_access === 'boolean'
+            ? tenant.domain_admin_access
+            : IMPERSONATION.DOMAIN_ADMIN_ACCESS;
+        this.resetApiStats();
+    }
+
+    // Crear una instancia independiente con las credenciales e impersonación de un tenant
+    forTenant(tenant) {
+        return new GoogleDriveSyncService(tenant);
     }
 
     // === INICIALIZACIÓN ===
 
+    // Credenciales del service account: archivo JSON del tenant o variables de entorno
+    getServiceAccountCredentials() {
+        if (this.tenant && this.tenant.credentials_file) {
+            const credentialsPath = path.isAbsolute(this.tenant.credentials_file)
+                ? this.tenant.credentials_file
+                : path.join(PATHS.CREDENTIALS_DIR, this.tenant.credentials_file);
+            return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+        }
+
+        return {
+            type: process.env.GOOGLE_SERVICE_ACCOUNT_TYPE,
+            project_id: process.env.GOOGLE_SERVICE_ACCOUNT_PROJECT_ID,
+            private_key_id: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY_ID,
+            private_key: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+            client_email: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_EMAIL,
+            client_id: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_ID,
+            auth_uri: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_URI,
+            token_uri: process.env.GOOGLE_SERVICE_ACCOUNT_TOKEN_URI,
+            auth_provider_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_PROVIDER_X509_CERT_URL,
+            client_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_X509_CERT_URL,
+            universe_domain: process.env.GOOGLE_SERVICE_ACCOUNT_UNIVERSE_DOMAIN
+        };
+    }
+
     async initialize() {
         try {
-            // Usar credenciales desde variables de entorno
-            const serviceAccountCredentials = {
-                type: process.env.GOOGLE_SERVICE_ACCOUNT_TYPE,
-                project_id: process.env.GOOGLE_SERVICE_ACCOUNT_PROJECT_ID,
-                private_key_id: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY_ID,
-                private_key: process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-                client_email: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_EMAIL,
-                client_id: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_ID,
-                auth_uri: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_URI,
-                token_uri: process.env.GOOGLE_SERVICE_ACCOUNT_TOKEN_URI,
-                auth_provider_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_AUTH_PROVIDER_X509_CERT_URL,
-                client_x509_cert_url: process.env.GOOGLE_SERVICE_ACCOUNT_CLIENT_X509_CERT_URL,
-                universe_domain: process.env.GOOGLE_SERVICE_ACCOUNT_UNIVERSE_DOMAIN
-            };
+            const serviceAccountCredentials = this.getServiceAccountCredentials();
 
             // Validar que todas las credenciales estén presentes
             const requiredFields = ['type', 'project_id', 'private_key', 'client_email'];
             for (const field of requiredFields) {
                 if (!serviceAccountCredentials[field]) {
-                    throw new Error(`Variable de entorno faltante para service account: GOOGLE_SERVICE_ACCOUNT_${field.toUpperCase()}`);
+                    throw new Error(this.tenant && this.tenant.credentials_file
+                        ? `Campo faltante en credenciales del tenant ${this.tenant.id}: ${field}`
+                        : `Variable de entorno faltante para service account: GOOGLE_SERVICE_ACCOUNT_${field.toUpperCase()}`);
                 }
             }
 
+            if (!this.impersonateEmail) {
+                throw new Error('Usuario a impersonar no configurado');
+            }
+
             // Configurar autenticación JWT con impersonación (como en la app anterior)
             this.auth = new google.auth.JWT(
                 serviceAccountCredentials.client_email,
                 null,
                 serviceAccountCredentials.private_key,
                 GOOGLE_DRIVE_API.SCOPES,
-                IMPERSONATION.USER_EMAIL // Subject para impersonación
+                this.impersonateEmail // Subject para impersonación
             );
             
             // Autorizar el cliente
@@ -55,10 +111,11 @@ class GoogleDriveSyncService {
             });
 
             // Verificar conexión
-            await this.drive.about.get({ fields: 'user' });
+            await this.callDriveApi('about.get', () => this.drive.about.get({ fields: 'user' }));
             
             this.initialized = true;
-            UTILS.log('info', `Google Drive Sync Service inicializado correctamente - Usando credenciales crearunidadesimm - Impersonando: ${IMPERSONATION.USER_EMAIL}`);
+            const credentialsLabel = this.tenant ? `Tenant: ${this.tenant.id}` : 'Usando credenciales crearunidadesimm';
+            UTILS.log('info', `Google Drive Sync Service inicializado correctamente - ${credentialsLabel} - Impersonando: ${this.impersonateEmail}`);
         } catch (error) {
             UTILS.log('error', 'Error al inicializar Google Drive Sync Service', null, error);
             throw error;
@@ -71,42 +128,114 @@ class GoogleDriveSyncService {
         }
     }
 
-    // === OBTENER UNIDADES COMPARTIDAS ===
+    // === ESTADÍSTICAS DE USO DE LA API ===
 
-    async getAllSharedDrives() {
-        try {
-            this.ensureInitialized();
-            UTILS.log('info', 'Obteniendo todas las unidades compartidas');
+    resetApiStats() {
+        this.apiStats = {
+            api_calls: 0,
+            api_retries: 0,
+            rate_limit_errors: 0,
+            retries_exhausted: 0,
+            folder_list_calls: 0,
+            api_calls_saved: 0
+        };
+    }
 
-            const allDrives = [];
-            let pageToken = null;
-            let pageCount = 0;
+    getApiStats() {
+        return { ...this.apiStats };
+    }
 
-            do {
-                const params = {
-                    pageSize: 100, // Máximo permitido por la API
-                    fields: 'nextPageToken,drives(id,name,kind,colorRgb,backgroundImageFile,capabilities,createdTime,hidden,restrictions)'
-                };
+    // === LLAMADAS A LA API CON REINTENTOS ===
 
-                if (pageToken) {
-                    params.pageToken = pageToken;
-                }
+    // Clasificar un error de la API: 'rate_limit', 'server' y 'network' se reintentan; 'fatal' no
+    classifyApiError(error) {
+        const status = error.response ? error.response.status : null;
+        const apiErrors = error.errors || error.response?.data?.error?.errors || [];
+        const reason = apiErrors[0] ? apiErrors[0].reason : null;
 
-                const response = await this.drive.drives.list(params);
-                const drives = response.data.drives || [];
-                
-                allDrives.push(...drives);
-                pageToken = response.data.nextPageToken;
-                pageCount++;
+        if (status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(reason))) {
+            return 'rate_limit';
+        }
+        if (status >= 500) {
+            return 'server';
+        }
+        if (!status && NETWORK_ERROR_CODES.includes(error.code)) {
+            return 'network';
+        }
+        return 'fatal';
+    }
 
-                UTILS.log('debug', `Página ${pageCount}: ${drives.length} unidades obtenidas`);
+    // Espera antes del siguiente intento: Retry-After si la API lo indica, si no backoff exponencial con jitter
+    getRetryDelayMs(error, attempt) {
+        const retryAfter = error.response?.headers?.['retry-after'];
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delayMs = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+            if (delayMs > 0) {
+                return Math.min(delayMs, SYNC.RETRY_MAX_DELAY_SECONDS * 1000);
+            }
+        }
 
-                // Pausa pequeña para evitar rate limiting
-                if (pageToken) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
+        const exponentialMs = Math.min(SYNC.RETRY_DELAY_SECONDS * 1000 * Math.pow(2, attempt), SYNC.RETRY_MAX_DELAY_SECONDS * 1000);
+        return Math.round(exponentialMs / 2 + Math.random() * exponentialMs / 2);
+    }
+
+    // Ejecutar una llamada a la API de Drive reintentando errores transitorios (SYNC.MAX_RETRIES)
+    async callDriveApi(operation, request) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                this.apiStats.api_calls++;
+                return await request();
+            } catch (error) {
+                const errorType = this.classifyApiError(error);
+                if (errorType === 'rate_limit') {
+                    this.apiStats.rate_limit_errors++;
                 }
 
-            } while (pageToken);
+                if (errorType === 'fatal') {
+                    throw error;
+                }
+                if (attempt >= SYNC.MAX_RETRIES) {
+                    this.apiStats.retries_exhausted++;
+                    throw error;
+                }
+
+                const delayMs = this.getRetryDelayMs(error, attempt);
+                this.apiStats.api_retries++;
+                UTILS.log('warn', `${operation}: error reintentable (${errorType}: ${error.message}), reintento ${attempt + 1}/${SYNC.MAX_RETRIES} en ${Math.round(delayMs / 100) / 10}s`);
+                await UTILS.sleep(delayMs / 1000);
+            }
+        }
+    }
+
+    // === OBTENER UNIDADES COMPARTIDAS ===
+
+    // Parámetros para actuar como administrador del dominio en drives.list, drives.get y permissions.list
+    getAdminAccessParams() {
+        return this.domainAdminAccess ? { useDomainAdminAccess: true } : {};
+    }
+
+    // Sin acceso de administrador solo se ven las unidades de las que el usuario impersonado es miembro;
+    // con él se listan todas las de la organización y se marca en cuáles es miembro
+    async getAllSharedDrives() {
+        try {
+            this.ensureInitialized();
+            UTILS.log('info', `Obteniendo todas las unidades compartidas${this.domainAdminAccess ? ' de la organización (acceso de administrador)' : ''}`);
+
+            const allDrives = await this.listSharedDrives(this.getAdminAccessParams());
+
+            const memberDriveIds = this.domainAdminAccess
+                ? new Set((await this.listSharedDrives({}, 'id')).map(drive => drive.id))
+                : null;
+
+            allDrives.forEach(drive => {
+                drive.impersonated_user_is_member = memberDriveIds ? memberDriveIds.has(drive.id) : true;
+            });
+
+            if (memberDriveIds) {
+                const nonMemberCount = allDrives.filter(drive => !drive.impersonated_user_is_member).length;
+                UTILS.log('info', `Unidades en las que ${this.impersonateEmail} no es miembro: ${nonMemberCount}`);
+            }
 
             UTILS.log('info', `Total de unidades compartidas obtenidas: ${allDrives.length}`);
             return allDrives;
@@ -117,8 +246,40 @@ class GoogleDriveSyncService {
         }
     }
 
+    async listSharedDrives(extraParams = {}, driveFields = DRIVE_FIELDS) {
+        const allDrives = [];
+        let pageToken = null;
+        let pageCount = 0;
+
+        do {
+            const params = {
+                pageSize: 100, // Máximo permitido por la API
+                fields: `nextPageToken,drives(${driveFields})`,
+                ...extraParams
+            };
+
+            if (pageToken) {
+                params.pageToken = pageToken;
+            }
+
+            const response = await this.callDriveApi('drives.list', () => this.drive.drives.list(params));
+            const drives = response.data.drives || [];
+            
+            allDrives.push(...drives);
+            pageToken = response.data.nextPageToken;
+            pageCount++;
+
+            UTILS.log('debug', `Página ${pageCount}: ${drives.length} unidades obtenidas`);
+
+        } while (pageToken);
+
+        return allDrives;
+    }
+
     // === OBTENER CARPETAS DE UNA UNIDAD ===
 
+    // Una sola consulta paginada (corpora=drive) trae todas las carpetas de la unidad;
+    // la jerarquía se reconstruye en memoria con calculateFolderPaths()
     async getFoldersFromDrive(driveId, driveName) {
         try {
             this.ensureInitialized();
@@ -130,9 +291,9 @@ class GoogleDriveSyncService {
 
             do {
                 const params = {
-                    q: `'${driveId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+                    q: `mimeType='${GOOGLE_DRIVE_API.FOLDER_MIME_TYPE}' and trashed=false`,
                     pageSize: 1000, // Máximo permitido
-                    fields: 'nextPageToken,files(id,name,parents,mimeType,createdTime,modifiedTime)',
+                    fields: `nextPageToken,files(id,name,parents,mimeType,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS})`,
                     includeItemsFromAllDrives: true,
                     supportsAllDrives: true,
                     corpora: 'drive',
@@ -143,7 +304,7 @@ class GoogleDriveSyncService {
                     params.pageToken = pageToken;
                 }
 
-                const response = await this.drive.files.list(params);
+                const response = await this.callDriveApi('files.list', () => this.drive.files.list(params));
                 const folders = response.data.files || [];
                 
                 allFolders.push(...folders);
@@ -152,21 +313,17 @@ class GoogleDriveSyncService {
 
                 UTILS.log('debug', `Página ${pageCount}: ${folders.length} carpetas obtenidas de ${driveName}`);
 
-                // Pausa para evitar rate limiting
-                if (pageToken) {
-                    await new Promise(resolve => setTimeout(resolve, 150));
-                }
-
             } while (pageToken);
 
-            // Ahora obtener subcarpetas recursivamente
-            const allSubfolders = await this.getSubfoldersRecursively(driveId, allFolders);
-            const totalFolders = [...allFolders, ...allSubfolders];
+            // El recorrido recursivo hacía una llamada por la raíz y otra por cada carpeta
+            const recursiveCalls = allFolders.length + 1;
+            this.apiStats.folder_list_calls += pageCount;
+            this.apiStats.api_calls_saved += Math.max(recursiveCalls - pageCount, 0);
 
             // Calcular rutas completas
-            const foldersWithPaths = this.calculateFolderPaths(totalFolders, driveId);
+            const foldersWithPaths = this.calculateFolderPaths(allFolders, driveId);
 
-            UTILS.log('info', `Total de carpetas obtenidas de ${driveName}: ${foldersWithPaths.length}`);
+            UTILS.log('info', `Total de carpetas obtenidas de ${driveName}: ${foldersWithPaths.length} (${pageCount} llamadas a la API)`);
             return foldersWithPaths;
 
         } catch (error) {
@@ -175,40 +332,23 @@ class GoogleDriveSyncService {
         }
     }
 
-    // Obtener subcarpetas recursivamente
-    async getSubfoldersRecursively(driveId, parentFolders) {
-        try {
-            const allSubfolders = [];
-            
-            for (const folder of parentFolders) {
-                const subfolders = await this.getDirectSubfolders(driveId, folder.id);
-                allSubfolders.push(...subfolders);
-                
-                // Si hay subcarpetas, obtener sus subcarpetas también
-                if (subfolders.length > 0) {
-                    const deeperSubfolders = await this.getSubfoldersRecursively(driveId, subfolders);
-                    allSubfolders.push(...deeperSubfolders);
-                }
-            }
-            
-            return allSubfolders;
-        } catch (error) {
-            UTILS.log('error', 'Error al obtener subcarpetas recursivamente', null, error);
-            return [];
-        }
-    }
+    // === INVENTARIO DE ARCHIVOS ===
 
-    // Obtener subcarpetas directas de una carpeta
-    async getDirectSubfolders(driveId, parentFolderId) {
+    // Obtener todos los archivos (no carpetas) de una unidad con una consulta paginada
+    async getFilesFromDrive(driveId, driveName) {
         try {
-            const subfolders = [];
+            this.ensureInitialized();
+            UTILS.log('info', `Obteniendo archivos de la unidad: ${driveName} (${driveId})`);
+
+            const allFiles = [];
             let pageToken = null;
+            let pageCount = 0;
 
             do {
                 const params = {
-                    q: `'${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+                    q: `mimeType!='${GOOGLE_DRIVE_API.FOLDER_MIME_TYPE}' and trashed=false`,
                     pageSize: 1000,
-                    fields: 'nextPageToken,files(id,name,parents,mimeType,createdTime,modifiedTime)',
+                    fields: `nextPageToken,files(${FILE_FIELDS})`,
                     includeItemsFromAllDrives: true,
                     supportsAllDrives: true,
                     corpora: 'drive',
@@ -219,24 +359,59 @@ class GoogleDriveSyncService {
                     params.pageToken = pageToken;
                 }
 
-                const response = await this.drive.files.list(params);
-                const folders = response.data.files || [];
-                
-                subfolders.push(...folders);
+                const response = await this.callDriveApi('files.list', () => this.drive.files.list(params));
+                const files = response.data.files || [];
+
+                allFiles.push(...files);
                 pageToken = response.data.nextPageToken;
+                pageCount++;
 
-                // Pausa para evitar rate limiting
-                if (pageToken) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
+                UTILS.log('debug', `Página ${pageCount}: ${files.length} archivos obtenidos de ${driveName}`);
 
             } while (pageToken);
 
-            return subfolders;
+            UTILS.log('info', `Total de archivos obtenidos de ${driveName}: ${allFiles.length}`);
+            return allFiles;
+
         } catch (error) {
-            UTILS.log('error', `Error al obtener subcarpetas de ${parentFolderId}`, null, error);
-            return [];
+            UTILS.log('error', `Error al obtener archivos de la unidad ${driveName}`, null, error);
+            throw error;
+        }
+    }
+
+    // Calcular totales de almacenamiento de la unidad y de cada carpeta (incluyendo subcarpetas)
+    calculateStorageTotals(files, folders) {
+        const emptyTotals = () => ({ file_count: 0, total_bytes: 0, last_file_modified: null });
+        const addFile = (totals, size, modifiedTime) => {
+            totals.file_count++;
+            totals.total_bytes += size;
+            if (modifiedTime && (!totals.last_file_modified || modifiedTime > totals.last_file_modified)) {
+                totals.last_file_modified = modifiedTime;
+            }
+        };
+
+        const folderParents = new Map(folders.map(folder => [folder.id, folder.parents && folder.parents[0]]));
+        const folderTotals = new Map(folders.map(folder => [folder.id, emptyTotals()]));
+        const driveTotals = emptyTotals();
+
+        for (const file of files) {
+            // Los documentos nativos de Google no tienen tamaño
+            const size = parseInt(file.size, 10) || 0;
+            addFile(driveTotals, size, file.modifiedTime);
+
+            const visited = new Set();
+            let parentId = file.parents && file.parents[0];
+            while (parentId && folderTotals.has(parentId) && !visited.has(parentId)) {
+                visited.add(parentId);
+                addFile(folderTotals.get(parentId), size, file.modifiedTime);
+                parentId = folderParents.get(parentId);
+            }
         }
+
+        return {
+            drive: driveTotals,
+            folders: folderTotals
+        };
     }
 
     // Calcular rutas completas de las carpetas
@@ -266,8 +441,9 @@ class GoogleDriveSyncService {
             
             visited.add(folderId);
             
+            // Un padre desconocido (fuera de la unidad o sin acceso) se trata como la raíz
             const parentId = folder.parents && folder.parents[0];
-            if (!parentId || parentId === driveId) {
+            if (!parentId || parentId === driveId || !folderMap.has(parentId)) {
                 folder.full_path = `/${folder.name}`;
             } else {
                 const parentPath = calculatePath(parentId, new Set(visited));
@@ -287,133 +463,360 @@ class GoogleDriveSyncService {
 
     // === OBTENER MANAGERS/PERMISOS ===
 
-    async getManagersFromDrive(driveId, driveName) {
-        try {
-            this.ensureInitialized();
-            UTILS.log('info', `Obteniendo managers de la unidad: ${driveName} (${driveId})`);
+    // Listar todos los permisos de un elemento (unidad o carpeta) con paginación
+    async listPermissions(fileId, label, fields, extraParams = {}) {
+        const allPermissions = [];
+        let pageToken = null;
+        let pageCount = 0;
+
+        do {
+            const params = {
+                fileId: fileId,
+                pageSize: 100,
+                fields: `nextPageToken,permissions(${fields})`,
+                supportsAllDrives: true,
+                ...extraParams
+            };
 
-            const allManagers = [];
-            let pageToken = null;
-            let pageCount = 0;
+            if (pageToken) {
+                params.pageToken = pageToken;
+            }
 
-            do {
-                const params = {
-                    fileId: driveId,
-                    pageSize: 100,
-                    fields: 'nextPageToken,permissions(id,emailAddress,role,type,displayName,photoLink)',
-                    supportsAllDrives: true
-                };
+            const response = await this.callDriveApi('permissions.list', () => this.drive.permissions.list(params));
+            const permissions = response.data.permissions || [];
+            
+            allPermissions.push(...permissions);
+            pageToken = response.data.nextPageToken;
+            pageCount++;
 
-                if (pageToken) {
-                    params.pageToken = pageToken;
-                }
+            UTILS.log('debug', `Página ${pageCount}: ${permissions.length} permisos obtenidos de ${label}`);
 
-                const response = await this.drive.permissions.list(params);
-                const permissions = response.data.permissions || [];
-                
-                // Filtrar solo managers (organizer, fileOrganizer)
-                const managers = permissions.filter(permission => 
-                    permission.role === 'organizer' || permission.role === 'fileOrganizer'
-                );
-                
-                allManagers.push(...managers);
-                pageToken = response.data.nextPageToken;
-                pageCount++;
+        } while (pageToken);
 
-                UTILS.log('debug', `Página ${pageCount}: ${managers.length} managers obtenidos de ${driveName}`);
+        return allPermissions;
+    }
 
-                // Pausa para evitar rate limiting
-                if (pageToken) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
+    // Obtener todos los permisos de la unidad (todos los roles y tipos: usuarios, grupos, dominio y enlace)
+    async getPermissionsFromDrive(driveId, driveName) {
+        try {
+            this.ensureInitialized();
+            UTILS.log('info', `Obteniendo permisos de la unidad: ${driveName} (${driveId})`);
 
-            } while (pageToken);
+            // useDomainAdminAccess solo aplica a la propia unidad, no a sus carpetas
+            const allPermissions = await this.listPermissions(driveId, driveName, PERMISSION_FIELDS, this.getAdminAccessParams());
 
-            UTILS.log('info', `Total de managers obtenidos de ${driveName}: ${allManagers.length}`);
-            return allManagers;
+            UTILS.log('info', `Total de permisos obtenidos de ${driveName}: ${allPermissions.length}`);
+            return allPermissions;
 
         } catch (error) {
-            UTILS.log('error', `Error al obtener managers de la unidad ${driveName}`, null, error);
+            UTILS.log('error', `Error al obtener permisos de la unidad ${driveName}`, null, error);
             throw error;
         }
     }
 
-    // === SINCRONIZACIÓN COMPLETA ===
+    // Filtrar solo managers (organizer, fileOrganizer) de una lista de permisos
+    extractManagers(permissions) {
+        return permissions.filter(permission => GOOGLE_DRIVE_API.MANAGER_ROLES.includes(permission.role));
+    }
+
+    async getManagersFromDrive(driveId, driveName) {
+        const permissions = await this.getPermissionsFromDrive(driveId, driveName);
+        return this.extractManagers(permissions);
+    }
+
+    // === PERMISOS DE CARPETAS ===
 
-    async performFullSync() {
+    // Solo las carpetas con permisos directos o acceso limitado tienen un acceso distinto al heredado;
+    // el resto no necesita una llamada a permissions.list
+    async getPermissionsForFolders(folders) {
         try {
             this.ensureInitialized();
-            UTILS.log('info', 'Iniciando sincronización completa');
 
-            const syncStats = {
-                drives_count: 0,
-                folders_count: 0,
-                managers_count: 0,
-                errors: []
+            const candidates = folders.filter(folder => folder.hasAugmentedPermissions || folder.inheritedPermissionsDisabled);
+            const folderPermissions = new Map();
+
+            for (const folder of candidates) {
+                const permissions = await this.listPermissions(folder.id, folder.name, `${PERMISSION_FIELDS},permissionDetails`);
+                folderPermissions.set(folder.id, permissions);
+            }
+
+            UTILS.log('debug', `Permisos obtenidos de ${candidates.length}/${folders.length} carpetas con acceso propio`);
+            return folderPermissions;
+
+        } catch (error) {
+            UTILS.log('error', 'Error al obtener permisos de carpetas', null, error);
+            throw error;
+        }
+    }
+
+    // Un permiso es directo si alguno de sus detalles no es heredado; sin detalles se trata como directo
+    isDirectPermission(permission) {
+        if (!permission.permissionDetails || permission.permissionDetails.length === 0) {
+            return true;
+        }
+        return permission.permissionDetails.some(detail => !detail.inherited);
+    }
+
+    // Marca en cada carpeta (folder.access) si su acceso difiere de la membresía de la unidad:
+    // más amplio (permisos directos por encima de la unidad) o más restringido (acceso limitado)
+    analyzeFolderAccess(folders, drivePermissions, folderPermissions) {
+        const principalKey = (permission) => {
+            if (permission.type === 'anyone') return 'anyone';
+            if (permission.type === 'domain') return `domain:${permission.domain}`;
+            return `${permission.type}:${(permission.emailAddress || '').toLowerCase()}`;
+        };
+        const roleRank = (role) => ROLE_RANK[role] || 0;
+
+        const driveRoles = new Map();
+        drivePermissions.forEach(permission => {
+            const key = principalKey(permission);
+            driveRoles.set(key, Math.max(driveRoles.get(key) || 0, roleRank(permission.role)));
+        });
+
+        const folderMap = new Map(folders.map(folder => [folder.id, folder]));
+        const resolved = new Map();
+
+        const resolve = (folder, visited = new Set()) => {
+            if (resolved.has(folder.id)) return resolved.get(folder.id);
+            visited.add(folder.id);
+
+            const direct = (folderPermissions.get(folder.id) || []).filter(permission => this.isDirectPermission(permission));
+            const ownWider = direct.some(permission => roleRank(permission.role) > (driveRoles.get(principalKey(permission)) || 0));
+            const ownNarrower = !!folder.inheritedPermissionsDisabled;
+
+            const parentId = folder.parents && folder.parents[0];
+            const parent = folderMap.get(parentId);
+            const parentAccess = parent && !visited.has(parent.id) ? resolve(parent, visited) : null;
+
+            // El acceso limitado corta la herencia: los permisos amplios de carpetas superiores no llegan
+            const inheritedWider = !!(parentAccess && parentAccess.shared_wider && !ownNarrower);
+            const inheritedNarrower = !!(parentAccess && parentAccess.shared_narrower);
+            const wider = ownWider || inheritedWider;
+            const narrower = ownNarrower || inheritedNarrower;
+
+            let accessScope = 'inherited';
+            if (wider && narrower) accessScope = 'custom';
+            else if (wider) accessScope = 'wider';
+            else if (narrower) accessScope = 'narrower';
+
+            const access = {
+                has_direct_permissions: direct.length > 0,
+                direct_permissions_count: direct.length,
+                limited_access: ownNarrower,
+                shared_wider: wider,
+                shared_narrower: narrower,
+                access_scope: accessScope,
+                access_differs_from_drive: wider || narrower,
+                // Carpeta superior de la que proviene la diferencia cuando no es propia
+                access_inherited_from: !ownWider && !ownNarrower && (inheritedWider || inheritedNarrower)
+                    ? (parentAccess.access_inherited_from || parent.id)
+                    : null
             };
 
-            // 1. Obtener todas las unidades compartidas
-            const drives = await this.getAllSharedDrives();
-            syncStats.drives_count = drives.length;
+            resolved.set(folder.id, access);
+            return access;
+        };
 
-            // 2. Para cada unidad, obtener carpetas y managers
-            for (let i = 0; i < drives.length; i++) {
-                const drive = drives[i];
-                
-                try {
-                    UTILS.log('info', `Procesando unidad ${i + 1}/${drives.length}: ${drive.name}`);
+        folders.forEach(folder => {
+            folder.access = resolve(folder);
+        });
 
-                    // Obtener carpetas y managers en paralelo
-                    const [folders, managers] = await Promise.all([
-                        this.getFoldersFromDrive(drive.id, drive.name),
-                        this.getManagersFromDrive(drive.id, drive.name)
-                    ]);
+        return folders.filter(folder => folder.access.access_differs_from_drive).length;
+    }
 
-                    syncStats.folders_count += folders.length;
-                    syncStats.managers_count += managers.length;
+    // === CAMBIOS INCREMENTALES (CHANGES API) ===
 
-                    // Agregar datos a la unidad para retornar
-                    drive.folders = folders;
-                    drive.managers = managers;
+    // Obtener el token inicial del registro de cambios de una unidad
+    async getStartPageToken(driveId) {
+        try {
+            this.ensureInitialized();
 
-                } catch (error) {
-                    const errorMsg = `Error procesando unidad ${drive.name}: ${error.message}`;
-                    UTILS.log('error', errorMsg, null, error);
-                    syncStats.errors.push(errorMsg);
-                    
-                    // Continuar con la siguiente unidad
-                    drive.folders = [];
-                    drive.managers = [];
-                }
+            const response = await this.callDriveApi('changes.getStartPageToken', () => this.drive.changes.getStartPageToken({
+                driveId: driveId,
+                supportsAllDrives: true
+            }));
 
-                // Pausa entre unidades para evitar rate limiting
-                if (i < drives.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
-            }
+            return response.data.startPageToken;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener token de cambios de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
 
-            UTILS.log('info', `Sincronización completa finalizada - Unidades: ${syncStats.drives_count}, Carpetas: ${syncStats.folders_count}, Managers: ${syncStats.managers_count}`);
-            
+    // Obtener los cambios de una unidad desde el token guardado
+    async getChangesFromDrive(driveId, driveName, pageToken) {
+        try {
+            this.ensureInitialized();
+            UTILS.log('info', `Obteniendo cambios de la unidad: ${driveName} (${driveId})`);
+
+            const allChanges = [];
+            let currentToken = pageToken;
+            let newStartPageToken = null;
+            let pageCount = 0;
+
+            do {
+                const response = await this.callDriveApi('changes.list', () => this.drive.changes.list({
+                    pageToken: currentToken,
+                    driveId: driveId,
+                    pageSize: 1000,
+                    includeItemsFromAllDrives: true,
+                    supportsAllDrives: true,
+                    includeRemoved: true,
+                    fields: `nextPageToken,newStartPageToken,changes(changeType,removed,fileId,driveId,time,file(${FILE_FIELDS},${FOLDER_ACCESS_FIELDS},trashed,driveId))`
+                }));
+                const changes = response.data.changes || [];
+
+                allChanges.push(...changes);
+                currentToken = response.data.nextPageToken;
+                newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+                pageCount++;
+
+                UTILS.log('debug', `Página ${pageCount}: ${changes.length} cambios obtenidos de ${driveName}`);
+
+            } while (currentToken);
+
+            UTILS.log('info', `Total de cambios obtenidos de ${driveName}: ${allChanges.length}`);
             return {
-                drives: drives,
-                stats: syncStats
+                changes: allChanges,
+                newStartPageToken: newStartPageToken || pageToken
             };
 
         } catch (error) {
-            UTILS.log('error', 'Error en sincronización completa', null, error);
+            UTILS.log('error', `Error al obtener cambios de la unidad ${driveName}`, null, error);
             throw error;
         }
     }
 
+    // Clasificar los cambios de una unidad en carpetas y archivos modificados y eliminados
+    classifyDriveChanges(driveId, changes) {
+        const folders = new Map();
+        const files = new Map();
+        const removedIds = new Set();
+
+        for (const change of changes) {
+            // Los cambios de la propia unidad no afectan a carpetas ni archivos; la membresía se compara aparte
+            if (change.changeType === 'drive') {
+                continue;
+            }
+
+            const file = change.file;
+
+            // Sin metadatos no se puede saber si era carpeta; se trata como eliminación
+            if (change.removed || !file) {
+                folders.delete(change.fileId);
+                files.delete(change.fileId);
+                removedIds.add(change.fileId);
+                continue;
+            }
+
+            const target = file.mimeType === GOOGLE_DRIVE_API.FOLDER_MIME_TYPE ? folders : files;
+
+            // Elementos en papelera o movidos a otra unidad ya no pertenecen a esta
+            if (file.trashed || (file.driveId && file.driveId !== driveId)) {
+                target.delete(file.id);
+                removedIds.add(file.id);
+                continue;
+            }
+
+            removedIds.delete(file.id);
+            target.set(file.id, file);
+        }
+
+        return {
+            folders: Array.from(folders.values()),
+            files: Array.from(files.values()),
+            removedIds: Array.from(removedIds)
+        };
+    }
+
+    // === SINCRONIZACIÓN COMPLETA ===
+
+    // Leer carpetas, permisos y (opcionalmente) archivos de una unidad; deja los datos en el objeto drive
+    async fetchDriveData(drive, options = {}) {
+        const { includeFiles = false, includeFolderPermissions = false } = options;
+        const counts = {
+            folders_count: 0,
+            managers_count: 0,
+            permissions_count: 0,
+            folder_permissions_count: 0,
+            restricted_folders_count: 0,
+            files_count: 0,
+            total_bytes: 0
+        };
+
+        // Sin membresía el acceso de administrador solo permite leer la unidad y sus permisos;
+        // no se tocan carpetas ni archivos ya guardados
+        if (drive.impersonated_user_is_member === false) {
+            const permissions = await this.getPermissionsFromDrive(drive.id, drive.name);
+            drive.folders = null;
+            drive.files = undefined;
+            drive.folderPermissions = null;
+            drive.permissions = permissions;
+            drive.managers = this.extractManagers(permissions);
+            drive.changesStartPageToken = null;
+
+            counts.managers_count = drive.managers.length;
+            counts.permissions_count = permissions.length;
+            return counts;
+        }
+
+        // Token de cambios tomado antes de leer, para no perder cambios ocurridos durante la lectura
+        const changesStartPageToken = await this.getStartPageToken(drive.id);
+
+        // Obtener carpetas y managers en paralelo
+        const [folders, permissions] = await Promise.all([
+            this.getFoldersFromDrive(drive.id, drive.name),
+            this.getPermissionsFromDrive(drive.id, drive.name)
+        ]);
+        const managers = this.extractManagers(permissions);
+
+        // Permisos propios de carpetas y diferencias con la membresía de la unidad
+        drive.folderPermissions = null;
+        if (includeFolderPermissions) {
+            const folderPermissions = await this.getPermissionsForFolders(folders);
+            counts.restricted_folders_count = this.analyzeFolderAccess(folders, permissions, folderPermissions);
+            counts.folder_permissions_count = Array.from(folderPermissions.values())
+                .reduce((total, list) => total + list.length, 0);
+            drive.folderPermissions = folderPermissions;
+        }
+
+        // Inventario opcional: archivos y totales de almacenamiento por unidad y carpeta
+        drive.files = undefined;
+        if (includeFiles) {
+            const files = await this.getFilesFromDrive(drive.id, drive.name);
+            const totals = this.calculateStorageTotals(files, folders);
+
+            folders.forEach(folder => {
+                folder.storage = totals.folders.get(folder.id);
+            });
+            drive.storage = totals.drive;
+            drive.files = files;
+
+            counts.files_count = files.length;
+            counts.total_bytes = totals.drive.total_bytes;
+        }
+
+        // Agregar datos a la unidad para retornar
+        drive.folders = folders;
+        drive.managers = managers;
+        drive.permissions = permissions;
+        drive.changesStartPageToken = changesStartPageToken;
+
+        counts.folders_count = folders.length;
+        counts.managers_count = managers.length;
+        counts.permissions_count = permissions.length;
+        return counts;
+    }
+
     // === VERIFICACIÓN DE CONECTIVIDAD ===
 
     async testConnection() {
         try {
             this.ensureInitialized();
             
-            const response = await this.drive.about.get({ 
+            const response = await this.callDriveApi('about.get', () => this.drive.about.get({ 
                 fields: 'user,storageQuota' 
-            });
+            }));
             
             return {
                 success: true,
@@ -431,39 +834,77 @@ class GoogleDriveSyncService {
 
     // === CREAR UNIDAD COMPARTIDA ===
 
-    async createSharedDrive(name, managers = []) {
+    // Con options.template se aplican su tema o color, restricciones, miembros y árbol de carpetas;
+    // los managers indicados se agregan siempre como organizer
+    async createSharedDrive(name, managers = [], options = {}) {
+        const { template = null } = options;
         try {
             this.ensureInitialized();
             
-            UTILS.log('info', `Creando unidad compartida: ${name}`);
+            UTILS.log('info', `Creando unidad compartida: ${name}${template ? ` (plantilla ${template.id})` : ''}`);
             
-            // Crear la unidad compartida
-            const driveResponse = await this.drive.drives.create({
-                requestId: `create-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                resource: {
-                    name: name
-                }
-            });
+            // Crear la unidad compartida; el requestId se genera una sola vez para que los reintentos sean idempotentes
+            const requestId = `create-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const resource = { name: name };
+            if (template && template.themeId) {
+                resource.themeId = template.themeId;
+            }
+            const driveResponse = await this.callDriveApi('drives.create', () => this.drive.drives.create({
+                requestId: requestId,
+                fields: DRIVE_FIELDS,
+                resource: resource
+            }));
             
-            const newDrive = driveResponse.data;
+            let newDrive = driveResponse.data;
             UTILS.log('info', `Unidad compartida creada: ${newDrive.name} (ID: ${newDrive.id})`);
+
+            const errors = [];
+
+            // Color y restricciones solo se pueden aplicar sobre la unidad ya creada
+            if (template && (template.colorRgb || template.restrictions)) {
+                try {
+                    newDrive = await this.updateSharedDrive(newDrive.id, {
+                        colorRgb: template.colorRgb || undefined,
+                        restrictions: template.restrictions || undefined
+                    });
+                } catch (error) {
+                    errors.push({ type: 'drive', name: name, error: error.message });
+                }
+            }
             
-            // Agregar managers si se especificaron
-            const addedManagers = [];
-            for (const managerEmail of managers) {
+            // Miembros de la plantilla más los managers indicados (estos prevalecen)
+            const members = new Map();
+            (template ? template.members || [] : []).forEach(member => {
+                members.set(member.email.toLowerCase(), { email: member.email, role: member.role, type: member.type || 'user' });
+            });
+            managers.forEach(email => {
+                members.set(email.toLowerCase(), { email: email, role: 'organizer', type: 'user' });
+            });
+
+            const addedMembers = [];
+            for (const member of members.values()) {
                 try {
-                    const permission = await this.addManagerToSharedDrive(newDrive.id, managerEmail);
-                    addedManagers.push({
-                        email: managerEmail,
-                        role: 'organizer',
-                        type: 'user',
+                    const permission = await this.addMemberToSharedDrive(newDrive.id, member);
+                    addedMembers.push({
+                        email: member.email,
+                        role: member.role,
+                        type: member.type,
                         permissionId: permission.id
                     });
-                    UTILS.log('info', `Manager agregado: ${managerEmail}`);
+                    UTILS.log('info', `Miembro agregado: ${member.email} (${member.role})`);
                 } catch (error) {
-                    UTILS.log('error', `Error al agregar manager ${managerEmail}`, null, error);
+                    UTILS.log('error', `Error al agregar miembro ${member.email}`, null, error);
+                    errors.push({ type: 'member', name: member.email, error: error.message });
                 }
             }
+
+            // Estructura de carpetas de la plantilla
+            let folders = [];
+            if (template && template.folders && template.folders.length > 0) {
+                const tree = await this.createFolderTree(newDrive.id, template.folders);
+                folders = tree.folders;
+                errors.push(...tree.errors);
+            }
             
             return {
                 drive: {
@@ -477,31 +918,223 @@ class GoogleDriveSyncService {
                     hidden: newDrive.hidden || false,
                     restrictions: newDrive.restrictions || {}
                 },
-                managers: addedManagers
+                managers: addedMembers.filter(member => GOOGLE_DRIVE_API.MANAGER_ROLES.includes(member.role)),
+                members: addedMembers,
+                folders: folders,
+                template_id: template ? template.id : null,
+                errors: errors
             };
         } catch (error) {
             UTILS.log('error', 'Error al crear unidad compartida', null, error);
             throw error;
         }
     }
+
+    // === CREAR CARPETAS ===
+
+    // files.create no es idempotente: un intento que falla por timeout o 5xx puede haber creado la carpeta,
+    // así que antes de cada reintento se busca una carpeta con ese nombre bajo el mismo padre
+    async createFolder(name, parentId) {
+        try {
+            this.ensureInitialized();
+
+            let attempted = false;
+            const response = await this.callDriveApi('files.create', async () => {
+                if (attempted) {
+                    const existing = await this.findChildFolder(parentId, name);
+                    if (existing) {
+                        UTILS.log('warn', `Carpeta ${name} ya creada por un intento anterior (ID: ${existing.id})`);
+                        return { data: existing };
+                    }
+                }
+                attempted = true;
+
+                return this.drive.files.create({
+                    supportsAllDrives: true,
+                    fields: `id,name,parents,driveId,mimeType,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS}`,
+                    resource: {
+                        name: name,
+                        mimeType: GOOGLE_DRIVE_API.FOLDER_MIME_TYPE,
+                        parents: [parentId]
+                    }
+                });
+            });
+
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al crear carpeta ${name}`, null, error);
+            throw error;
+        }
+    }
+
+    // Carpeta (no eliminada) con ese nombre exacto directamente bajo parentId, o null
+    async findChildFolder(parentId, name) {
+        const escapedName = name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        const response = await this.drive.files.list({
+            q: `'${parentId}' in parents and name='${escapedName}' and mimeType='${GOOGLE_DRIVE_API.FOLDER_MIME_TYPE}' and trashed=false`,
+            pageSize: 1,
+            fields: `files(id,name,parents,driveId,mimeType,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS})`,
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true,
+            corpora: 'allDrives'
+        });
+
+        return (response.data.files || [])[0] || null;
+    }
+
+    async getFolder(folderId) {
+        try {
+            this.ensureInitialized();
+
+            const response = await this.callDriveApi('files.get', () => this.drive.files.get({
+                fileId: folderId,
+                supportsAllDrives: true,
+                fields: `id,name,parents,driveId,mimeType,trashed,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS}`
+            }));
+
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al obtener carpeta ${folderId}`, null, error);
+            throw error;
+        }
+    }
+
+    async renameFolder(folderId, name) {
+        try {
+            this.ensureInitialized();
+
+            const response = await this.callDriveApi('files.update', () => this.drive.files.update({
+                fileId: folderId,
+                supportsAllDrives: true,
+                fields: `id,name,parents,driveId,mimeType,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS}`,
+                resource: {
+                    name: name
+                }
+            }));
+
+            UTILS.log('info', `Carpeta ${folderId} renombrada a ${name}`);
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al renombrar carpeta ${folderId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Mover dentro de la unidad o a otra unidad; newParentId puede ser el ID de la unidad (raíz)
+    async moveFolder(folderId, newParentId, currentParents = []) {
+        try {
+            this.ensureInitialized();
+
+            const response = await this.callDriveApi('files.update', () => this.drive.files.update({
+                fileId: folderId,
+                supportsAllDrives: true,
+                addParents: newParentId,
+                removeParents: currentParents.join(','),
+                fields: `id,name,parents,driveId,mimeType,createdTime,modifiedTime,${FOLDER_ACCESS_FIELDS}`
+            }));
+
+            UTILS.log('info', `Carpeta ${folderId} movida a ${newParentId}`);
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al mover carpeta ${folderId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Crear un árbol [{ name, children }] bajo parentId; si una carpeta falla se omiten sus subcarpetas
+    async createFolderTree(driveId, tree, parentId = driveId, parentPath = '') {
+        const folders = [];
+        const errors = [];
+
+        for (const node of tree) {
+            const fullPath = `${parentPath}/${node.name}`;
+            try {
+                const folder = await this.createFolder(node.name, parentId);
+                folder.full_path = fullPath;
+                folders.push(folder);
+
+                if (node.children && node.children.length > 0) {
+                    const subtree = await this.createFolderTree(driveId, node.children, folder.id, fullPath);
+                    folders.push(...subtree.folders);
+                    errors.push(...subtree.errors);
+                }
+            } catch (error) {
+                errors.push({ type: 'folder', name: fullPath, error: error.message });
+            }
+        }
+
+        return { folders, errors };
+    }
     
     // === AGREGAR MANAGER A UNIDAD COMPARTIDA ===
     
     async addManagerToSharedDrive(driveId, email) {
+        return this.addMemberToSharedDrive(driveId, { email: email, role: 'organizer', type: 'user' });
+    }
+
+    // === MIEMBROS DE UNIDADES COMPARTIDAS ===
+
+    // Agregar un usuario o grupo con cualquier rol; sin sendNotificationEmail se usa el valor por defecto
+    // de Drive (envía el correo), como al crear unidades y agregar managers
+    async addMemberToSharedDrive(driveId, member) {
+        const { email, role, type = 'user', sendNotificationEmail } = member;
         try {
-            const permission = await this.drive.permissions.create({
+            this.ensureInitialized();
+
+            const permission = await this.callDriveApi('permissions.create', () => this.drive.permissions.create({
                 fileId: driveId,
                 supportsAllDrives: true,
+                ...(sendNotificationEmail !== undefined ? { sendNotificationEmail: sendNotificationEmail } : {}),
+                fields: PERMISSION_FIELDS,
                 resource: {
-                    role: 'organizer',
-                    type: 'user',
+                    role: role,
+                    type: type,
                     emailAddress: email
-                }
-            });
+                },
+                ...this.getAdminAccessParams()
+            }));
             
             return permission.data;
         } catch (error) {
-            UTILS.log('error', `Error al agregar manager ${email} a la unidad ${driveId}`, null, error);
+            UTILS.log('error', `Error al agregar miembro ${email} a la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    async updateMemberRole(driveId, permissionId, role) {
+        try {
+            this.ensureInitialized();
+
+            const permission = await this.callDriveApi('permissions.update', () => this.drive.permissions.update({
+                fileId: driveId,
+                permissionId: permissionId,
+                supportsAllDrives: true,
+                fields: PERMISSION_FIELDS,
+                resource: {
+                    role: role
+                },
+                ...this.getAdminAccessParams()
+            }));
+
+            return permission.data;
+        } catch (error) {
+            UTILS.log('error', `Error al cambiar rol del permiso ${permissionId} en la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    async removeMemberFromSharedDrive(driveId, permissionId) {
+        try {
+            this.ensureInitialized();
+
+            await this.callDriveApi('permissions.delete', () => this.drive.permissions.delete({
+                fileId: driveId,
+                permissionId: permissionId,
+                supportsAllDrives: true,
+                ...this.getAdminAccessParams()
+            }));
+        } catch (error) {
+            UTILS.log('error', `Error al quitar el permiso ${permissionId} de la unidad ${driveId}`, null, error);
             throw error;
         }
     }
@@ -512,10 +1145,11 @@ class GoogleDriveSyncService {
         try {
             this.ensureInitialized();
             
-            const response = await this.drive.drives.get({
+            const response = await this.callDriveApi('drives.get', () => this.drive.drives.get({
                 driveId: driveId,
-                fields: 'id,name,kind,colorRgb,backgroundImageFile,capabilities,createdTime,hidden,restrictions'
-            });
+                fields: DRIVE_FIELDS,
+                ...this.getAdminAccessParams()
+            }));
             
             return response.data;
         } catch (error) {
@@ -523,6 +1157,98 @@ class GoogleDriveSyncService {
             throw error;
         }
     }
+
+    // === CICLO DE VIDA DE UNIDADES ===
+
+    // Actualizar nombre, tema/color o restricciones; solo se envían los campos indicados
+    async updateSharedDrive(driveId, changes) {
+        try {
+            this.ensureInitialized();
+
+            const resource = {};
+            ['name', 'themeId', 'colorRgb', 'restrictions'].forEach(field => {
+                if (changes[field] !== undefined) {
+                    resource[field] = changes[field];
+                }
+            });
+
+            UTILS.log('info', `Actualizando unidad ${driveId}: ${Object.keys(resource).join(', ')}`);
+
+            const response = await this.callDriveApi('drives.update', () => this.drive.drives.update({
+                driveId: driveId,
+                fields: DRIVE_FIELDS,
+                resource: resource,
+                ...this.getAdminAccessParams()
+            }));
+
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al actualizar la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Ocultar o mostrar la unidad en la vista del usuario impersonado
+    async setSharedDriveHidden(driveId, hidden) {
+        try {
+            this.ensureInitialized();
+
+            const operation = hidden ? 'drives.hide' : 'drives.unhide';
+            const response = await this.callDriveApi(operation, () => (hidden
+                ? this.drive.drives.hide({ driveId: driveId })
+                : this.drive.drives.unhide({ driveId: driveId })));
+
+            UTILS.log('info', `Unidad ${driveId} ${hidden ? 'ocultada' : 'visible de nuevo'}`);
+            return response.data;
+        } catch (error) {
+            UTILS.log('error', `Error al cambiar visibilidad de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Una unidad solo se puede eliminar sin forzar si no tiene elementos (incluida la papelera)
+    async isSharedDriveEmpty(driveId) {
+        try {
+            this.ensureInitialized();
+
+            const response = await this.callDriveApi('files.list', () => this.drive.files.list({
+                pageSize: 1,
+                fields: 'files(id)',
+                includeItemsFromAllDrives: true,
+                supportsAllDrives: true,
+                corpora: 'drive',
+                driveId: driveId
+            }));
+
+            return (response.data.files || []).length === 0;
+        } catch (error) {
+            UTILS.log('error', `Error al comprobar contenido de la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Con force se eliminan también sus elementos (allowItemDeletion requiere acceso de administrador)
+    async deleteSharedDrive(driveId, options = {}) {
+        const { force = false } = options;
+        try {
+            this.ensureInitialized();
+
+            const params = { driveId: driveId };
+            if (force) {
+                params.useDomainAdminAccess = true;
+                params.allowItemDeletion = true;
+            } else {
+                Object.assign(params, this.getAdminAccessParams());
+            }
+
+            await this.callDriveApi('drives.delete', () => this.drive.drives.delete(params));
+
+            UTILS.log('info', `Unidad ${driveId} eliminada${force ? ' junto con su contenido' : ''}`);
+        } catch (error) {
+            UTILS.log('error', `Error al eliminar la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
 }
 
 const googleDriveSyncService = new GoogleDriveSyncService();
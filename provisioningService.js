@@ -0,0 +1,227 @@
+const googleDriveService = require('./googleDriveService');
+const firestoreService = require('./firestoreService');
+const AdaptiveWorkerPool = require('./workerPool');
+const { SYNC, TENANTS, UTILS } = require('./config');
+
+// Aprovisionamiento masivo de unidades compartidas a partir de un CSV o JSON.
+// Es seguro volver a ejecutarlo: las unidades cuyo nombre ya existe en Google Drive o en shared_drives
+// se omiten y cada unidad creada se guarda en Firestore en cuanto termina.
+class ProvisioningService {
+    constructor(options = {}) {
+        this.tenantId = options.tenantId || TENANTS.DEFAULT_ID;
+        this.googleDriveService = options.googleDriveService || googleDriveService;
+        this.firestoreService = options.firestoreService || firestoreService;
+    }
+
+    forTenant(tenantId, services) {
+        return new ProvisioningService({
+            tenantId: tenantId,
+            googleDriveService: services.googleDriveService,
+            firestoreService: services.firestoreService
+        });
+    }
+
+    // === LECTURA DE LA ENTRADA ===
+
+    // JSON: [{ name, managers }] o { drives: [...] }. CSV: cabecera con columnas name y managers
+    parseInput(content, format) {
+        const rows = format === 'csv' ? this.parseCsv(content) : this.parseJson(content);
+
+        return rows.map((row, index) => ({
+            row: index + 1,
+            name: typeof row.name === 'string' ? row.name.trim() : '',
+            managers: this.parseManagers(row.managers)
+        }));
+    }
+
+    parseJson(content) {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+        const drives = Array.isArray(data) ? data : (data && data.drives);
+
+        if (!Array.isArray(drives)) {
+            throw new Error('El JSON debe ser un arreglo de unidades o un objeto con la propiedad drives');
+        }
+        return drives;
+    }
+
+    // CSV con comillas dobles opcionales; la primera fila es la cabecera
+    parseCsv(content) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            return [];
+        }
+
+        const header = nonEmpty[0].map(column => column.trim().toLowerCase());
+        if (!header.includes('name')) {
+            throw new Error('El CSV debe tener una columna "name"');
+        }
+
+        return nonEmpty.slice(1).map(values => {
+            const row = {};
+            header.forEach((column, index) => {
+                row[column] = values[index] || '';
+            });
+            return row;
+        });
+    }
+
+    // Managers como arreglo o texto separado por ";", "," o espacios
+    parseManagers(managers) {
+        const list = Array.isArray(managers) ? managers : String(managers || '').split(/[;,\s]+/);
+        return list.map(email => String(email).trim()).filter(email => email);
+    }
+
+    // === APROVISIONAMIENTO ===
+
+    // options.template: plantilla (ya resuelta) que se aplica a todas las unidades creadas
+    async provisionSharedDrives(rows, options = {}) {
+        const concurrency = options.concurrency || SYNC.PROVISIONING_CONCURRENCY;
+        const template = options.template || null;
+        try {
+            UTILS.log('info', `Aprovisionamiento masivo de ${rows.length} unidades - Tenant: ${this.tenantId}${template ? ` - Plantilla: ${template.id}` : ''}`);
+
+            // Nombres ya existentes (sin distinguir mayúsculas) y nombres repetidos en la propia entrada.
+            // Se consulta también Drive: una unidad creada en una ejecución que falló antes de guardarla
+            // en Firestore no está en shared_drives
+            const [storedDrives, driveApiDrives] = await Promise.all([
+                this.firestoreService.getSharedDrives(),
+                this.googleDriveService.getAllSharedDrives()
+            ]);
+            const existingNames = new Map();
+            [...storedDrives, ...driveApiDrives].forEach(drive => {
+                existingNames.set(this.normalizeName(drive.name), drive.id);
+            });
+            const seenNames = new Set();
+
+            const report = rows.map(row => {
+                const entry = {
+                    row: row.row,
+                    name: row.name,
+                    status: 'pending',
+                    drive_id: null,
+                    managers_added: [],
+                    managers_failed: [],
+                    template_errors: [],
+                    error: null
+                };
+                const normalized = this.normalizeName(row.name);
+                const invalidManagers = row.managers.filter(email => !UTILS.isValidEmail(email));
+
+                if (!row.name) {
+                    entry.status = 'failed';
+                    entry.error = 'Nombre vacío';
+                } else if (invalidManagers.length > 0) {
+                    entry.status = 'failed';
+                    entry.error = `Emails inválidos: ${invalidManagers.join(', ')}`;
+                } else if (existingNames.has(normalized)) {
+                    entry.status = 'skipped';
+                    entry.drive_id = existingNames.get(normalized);
+                    entry.error = 'Ya existe una unidad con ese nombre';
+                } else if (seenNames.has(normalized)) {
+                    entry.status = 'skipped';
+                    entry.error = 'Nombre repetido en la entrada';
+                }
+
+                seenNames.add(normalized);
+                return entry;
+            });
+
+            const pending = rows.filter((row, index) => report[index].status === 'pending');
+            const pool = new AdaptiveWorkerPool({
+                name: 'drive-provisioning',
+                concurrency: concurrency,
+                getRateLimitCount: () => this.googleDriveService.getApiStats().rate_limit_errors
+            });
+
+            await pool.run(pending, async (row) => {
+                const entry = report[row.row - 1];
+                try {
+                    const result = await this.googleDriveService.createSharedDrive(row.name, row.managers, { template });
+                    entry.drive_id = result.drive.id;
+
+                    // Guardar de inmediato para que una nueva ejecución la omita
+                    await this.firestoreService.saveNewSharedDrive(result.drive, result.managers, result.folders);
+
+                    const added = new Set(result.managers.map(manager => manager.email));
+                    entry.managers_added = row.managers.filter(email => added.has(email));
+                    entry.managers_failed = row.managers.filter(email => !added.has(email));
+                    entry.template_errors = result.errors.filter(item => item.type !== 'member' || !row.managers.includes(item.name));
+                    entry.status = entry.managers_failed.length > 0 || entry.template_errors.length > 0 ? 'created_with_errors' : 'created';
+                } catch (error) {
+                    UTILS.log('error', `Error al aprovisionar unidad ${row.name}`, null, error);
+                    entry.status = 'failed';
+                    entry.error = error.message;
+                }
+            });
+
+            const summary = {
+                total: report.length,
+                created: report.filter(entry => entry.status === 'created' || entry.status === 'created_with_errors').length,
+                skipped: report.filter(entry => entry.status === 'skipped').length,
+                failed: report.filter(entry => entry.status === 'failed').length,
+                managers_added: report.reduce((total, entry) => total + entry.managers_added.length, 0),
+                managers_failed: report.reduce((total, entry) => total + entry.managers_failed.length, 0)
+            };
+
+            UTILS.log('info', `Aprovisionamiento completado - Creadas: ${summary.created}, Omitidas: ${summary.skipped}, Fallidas: ${summary.failed}`);
+
+            return {
+                tenant: this.tenantId,
+                summary: summary,
+                pool: pool.getStats(),
+                rows: report
+            };
+        } catch (error) {
+            UTILS.log('error', 'Error en aprovisionamiento masivo', null, error);
+            throw error;
+        }
+    }
+
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+}
+
+const provisioningService = new ProvisioningService();
+
+module.exports = provisioningService;
@@ -2,8 +2,8 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
-const syncService = require('./syncService');
-const { SERVER, SYNC, UTILS } = require('./config');
+const tenantManager = require('./tenantManager');
+const { SERVER, SYNC, TENANTS, GOOGLE_DRIVE_API, PAGINATION, UTILS } = require('./config');
 
 const app = express();
 
@@ -21,12 +21,40 @@ app.use((req, res, next) => {
     next();
 });
 
+// Resolver el tenant de la petición: ?tenant=, cabecera X-Tenant-Id o campo tenant del body
+function resolveTenant(req, res, next) {
+    const tenantId = req.query.tenant || req.get('X-Tenant-Id') || (req.body && req.body.tenant) || TENANTS.DEFAULT_ID;
+    const tenant = tenantManager.getTenant(tenantId);
+
+    if (!tenant) {
+        return res.status(404).json({
+            success: false,
+            error: `Tenant no encontrado: ${tenantId}`
+        });
+    }
+
+    req.tenant = tenant;
+    next();
+}
+
+app.use(['/health', '/sync', '/test', '/maintenance', '/api'], resolveTenant);
+
+// === RUTAS DE TENANTS ===
+
+// Listar tenants configurados
+app.get('/tenants', (req, res) => {
+    res.json({
+        success: true,
+        tenants: tenantManager.getTenants().map(tenant => tenantManager.describeTenant(tenant))
+    });
+});
+
 // === RUTAS DE SALUD ===
 
 // Health check
 app.get('/health', async (req, res) => {
     try {
-        const healthStatus = await syncService.healthCheck();
+        const healthStatus = await req.tenant.syncService.healthCheck();
         const enhancedStatus = {
             ...healthStatus,
             sync: {
@@ -46,6 +74,53 @@ app.get('/health', async (req, res) => {
     }
 });
 
+// Barra de progreso alimentada por /sync/events (página de inicio y /sync/run)
+function renderSyncProgress(tenantId) {
+    return `
+            <div class="section">
+                <h2>📈 Progreso de Sincronización</h2>
+                <p id="sync-progress-text">Sin sincronización en curso</p>
+                <progress id="sync-progress-bar" max="1" value="0" style="width: 100%; height: 20px;"></progress>
+                <p id="sync-progress-errors" class="error"></p>
+            </div>
+            <script>
+                (function () {
+                    var text = document.getElementById('sync-progress-text');
+                    var bar = document.getElementById('sync-progress-bar');
+                    var errors = document.getElementById('sync-progress-errors');
+                    var errorCount = 0;
+
+                    function show(event) {
+                        if (event.type === 'finished') {
+                            text.textContent = 'Sincronización terminada: ' + event.status;
+                            if (event.status !== 'failed' && event.status !== 'cancelled') bar.value = bar.max;
+                            return;
+                        }
+                        if (event.drives_count !== undefined) {
+                            bar.max = event.drives_count || 1;
+                            bar.value = event.drives_completed || 0;
+                        }
+                        text.textContent = event.type === 'progress'
+                            ? 'Unidad ' + event.current_drive + ': ' + event.current_drive_name
+                            : 'Sincronización en curso (' + event.phase + ')';
+                    }
+
+                    var source = new EventSource('/sync/events?tenant=${encodeURIComponent(tenantId)}');
+                    source.addEventListener('status', function (e) {
+                        var status = JSON.parse(e.data);
+                        if (status.is_running && status.last_event) show(status.last_event);
+                    });
+                    ['phase', 'progress', 'finished'].forEach(function (type) {
+                        source.addEventListener(type, function (e) { show(JSON.parse(e.data)); });
+                    });
+                    source.addEventListener('drive_error', function () {
+                        errorCount++;
+                        errors.textContent = errorCount + ' unidades con errores';
+                    });
+                })();
+            </script>`;
+}
+
 // Estado básico del servidor
 app.get('/', (req, res) => {
     const html = `
@@ -74,6 +149,7 @@ app.get('/', (req, res) => {
             }
             .sync-button:hover { background: #218838; color: white; text-decoration: none; }
             .status { color: #28a745; font-weight: bold; }
+            .error { color: #dc3545; }
         </style>
     </head>
     <body>
@@ -90,6 +166,7 @@ app.get('/', (req, res) => {
                 <a href="/sync/run" class="sync-button">🔄 Sincronizar Ahora</a>
                 <a href="/sync/status" class="sync-button" style="background: #17a2b8;">📊 Ver Estado</a>
             </div>
+${renderSyncProgress(req.tenant ? req.tenant.id : TENANTS.DEFAULT_ID)}
 
             <div class="section">
                 <h2>📡 Endpoints Disponibles</h2>
@@ -97,23 +174,41 @@ app.get('/', (req, res) => {
                 <h3>🔄 Sincronización</h3>
                 <div class="endpoint">
                     <span class="method">GET</span> <span class="url">/sync/run</span><br>
-                    <small>Ejecutar sincronización completa (fácil para navegador)</small>
+                    <small>Iniciar sincronización completa (fácil para navegador)</small>
                 </div>
                 <div class="endpoint">
                     <span class="method">GET</span> <span class="url">/sync/status</span><br>
                     <small>Obtener estado actual de sincronización</small>
                 </div>
+                <div class="endpoint">
+                    <span class="method">GET</span> <span class="url">/sync/events</span><br>
+                    <small>Progreso en tiempo real (Server-Sent Events)</small>
+                </div>
                 <div class="endpoint">
                     <span class="method">POST</span> <span class="url">/sync/full</span><br>
-                    <small>Ejecutar sincronización completa (API)</small>
+                    <small>Iniciar sincronización completa (API, responde 202 con job_id)</small>
                 </div>
                 <div class="endpoint">
                     <span class="method">POST</span> <span class="url">/sync/incremental</span><br>
-                    <small>Ejecutar sincronización incremental (API)</small>
+                    <small>Iniciar sincronización incremental (API, responde 202 con job_id)</small>
                 </div>
                 <div class="endpoint">
                     <span class="method">POST</span> <span class="url">/sync/manual</span><br>
-                    <small>Ejecutar sincronización manual (API)</small>
+                    <small>Iniciar sincronización manual (API)</small>
+                </div>
+                <div class="endpoint">
+                    <span class="method">GET</span> <span class="url">/sync/jobs/:id</span><br>
+                    <small>Estado de un trabajo de sincronización</small>
+                </div>
+                <div class="endpoint">
+                    <span class="method">DELETE</span> <span class="url">/sync/jobs/:id</span><br>
+                    <small>Cancelar un trabajo de sincronización en curso</small>
+                </div>
+
+                <h3>🏢 Tenants</h3>
+                <div class="endpoint">
+                    <span class="method">GET</span> <span class="url">/tenants</span><br>
+                    <small>Listar dominios configurados; el resto de rutas acepta <span class="url">?tenant=ID</span></small>
                 </div>
 
                 <h3>🏥 Salud y Mantenimiento</h3>
@@ -155,7 +250,7 @@ app.get('/', (req, res) => {
 // Obtener estado de sincronización
 app.get('/sync/status', async (req, res) => {
     try {
-        const status = await syncService.getSyncStatus();
+        const status = await req.tenant.syncService.getSyncStatus();
         res.json({
             success: true,
             data: status
@@ -169,64 +264,171 @@ app.get('/sync/status', async (req, res) => {
     }
 });
 
-// Ejecutar sincronización completa
+// Conexiones SSE abiertas; se cierran al apagar el servidor porque server.close() espera a que terminen.
+// Al terminar cada respuesta su conexión queda inactiva (keep-alive) y también hay que cerrarla
+const eventStreams = new Set();
+
+function closeEventStreams(server) {
+    eventStreams.forEach(res => res.end(() => server.closeIdleConnections()));
+    eventStreams.clear();
+}
+
+// Progreso en tiempo real (Server-Sent Events) de la sincronización que corre en esta instancia.
+// Eventos: status (al conectar), phase, progress, drive_error y finished
+app.get('/sync/events', (req, res) => {
+    const syncService = req.tenant.syncService;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Estado inicial para que el cliente no espere al siguiente evento
+    send('status', {
+        tenant: req.tenant.id,
+        is_running: syncService.isRunning,
+        sync_id: syncService.currentSyncId,
+        last_event: syncService.lastSyncEvent
+    });
+
+    const onSyncEvent = (event) => send(event.type, event);
+    syncService.on('sync-event', onSyncEvent);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SERVER.SSE_KEEPALIVE_SECONDS * 1000);
+    eventStreams.add(res);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        syncService.off('sync-event', onSyncEvent);
+        eventStreams.delete(res);
+    });
+});
+
+// Iniciar sincronización completa (responde 202 con job_id; el estado se consulta en /sync/jobs/:id)
 app.post('/sync/full', async (req, res) => {
     try {
+        const { includeFiles, resume } = req.body || {};
+
         UTILS.log('info', 'Sincronización completa solicitada vía API');
         
-        const result = await syncService.performSync();
+        const job = await req.tenant.syncService.startSyncJob('full', { includeFiles, resume });
         
-        res.json({
-            success: result.success,
-            data: result
+        res.status(202).json({
+            success: true,
+            data: job
         });
     } catch (error) {
         UTILS.log('error', 'Error en sincronización completa vía API', null, error);
-        res.status(500).json({
+        res.status(getApiErrorStatus(error)).json({
             success: false,
-            error: error.message
+            error: error.message,
+            holder_sync_id: error.holder_sync_id
         });
     }
 });
 
-// Ejecutar sincronización incremental
+// Iniciar sincronización incremental (responde 202 con job_id)
 app.post('/sync/incremental', async (req, res) => {
     try {
-        const { driveIds = [] } = req.body;
+        const { driveIds = [], includeFiles } = req.body || {};
+
+        // El trabajo corre en segundo plano: un driveIds inválido fallaría después de responder 202
+        if (!Array.isArray(driveIds) || !driveIds.every(driveId => typeof driveId === 'string' && driveId.trim() !== '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'driveIds debe ser un arreglo de IDs de unidad'
+            });
+        }
         
         UTILS.log('info', 'Sincronización incremental solicitada vía API', {
             driveIds: driveIds
         });
         
-        const result = await syncService.performIncrementalSync(driveIds);
+        const job = await req.tenant.syncService.startSyncJob('incremental', { driveIds, includeFiles });
         
-        res.json({
-            success: result.success,
-            data: result
+        res.status(202).json({
+            success: true,
+            data: job
         });
     } catch (error) {
         UTILS.log('error', 'Error en sincronización incremental vía API', null, error);
-        res.status(500).json({
+        res.status(getApiErrorStatus(error)).json({
             success: false,
-            error: error.message
+            error: error.message,
+            holder_sync_id: error.holder_sync_id
         });
     }
 });
 
-// Ejecutar sincronización manual (alias para completa)
+// Iniciar sincronización manual (alias para completa, usado por Cloud Scheduler)
 app.post('/sync/manual', async (req, res) => {
     try {
         UTILS.log('info', 'Sincronización manual solicitada vía API');
         
-        const result = await syncService.performSync();
+        const job = await req.tenant.syncService.startSyncJob('full');
         
-        res.json({
-            success: result.success,
-            data: result,
-            message: 'Sincronización manual ejecutada'
+        res.status(202).json({
+            success: true,
+            data: job,
+            message: 'Sincronización manual iniciada'
         });
     } catch (error) {
         UTILS.log('error', 'Error en sincronización manual vía API', null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message,
+            holder_sync_id: error.holder_sync_id
+        });
+    }
+});
+
+// Estado de un trabajo de sincronización (progreso, estadísticas y estado final)
+app.get('/sync/jobs/:id', async (req, res) => {
+    try {
+        const job = await req.tenant.syncService.getSyncJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: `Trabajo no encontrado: ${req.params.id}` });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al obtener el trabajo de sincronización ${req.params.id}`, null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cancelar un trabajo en curso; se detiene antes de la siguiente unidad y termina como cancelled
+app.delete('/sync/jobs/:id', async (req, res) => {
+    try {
+        const result = await req.tenant.syncService.cancelSyncJob(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: `Trabajo no encontrado: ${req.params.id}` });
+        }
+        if (!result.cancel_requested) {
+            return res.status(409).json({
+                success: false,
+                error: `El trabajo ya terminó con estado ${result.status}`,
+                data: result
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al cancelar el trabajo de sincronización ${req.params.id}`, null, error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -236,12 +438,13 @@ app.post('/sync/manual', async (req, res) => {
 
 // === ENDPOINTS GET PARA NAVEGADOR ===
 
-// Ejecutar sincronización completa vía GET (fácil para navegador)
+// Iniciar sincronización completa vía GET (fácil para navegador)
 app.get('/sync/run', async (req, res) => {
     try {
         UTILS.log('info', 'Sincronización completa solicitada vía GET (navegador)');
         
-        const result = await syncService.performSync();
+        const job = await req.tenant.syncService.startSyncJob('full');
+        const jobUrl = `/sync/jobs/${job.job_id}?tenant=${encodeURIComponent(req.tenant.id)}`;
         
         // Respuesta HTML amigable para el navegador
         const html = `
@@ -264,20 +467,15 @@ app.get('/sync/run', async (req, res) => {
         <body>
             <div class="container">
                 <h1>🔄 Sincronización de Unidades</h1>
-                ${result.success ? 
-                    `<p class="success">✅ <strong>Sincronización completada exitosamente</strong></p>
-                     <div class="stats">
-                         <h3>📊 Estadísticas:</h3>
-                         <div class="stat-item">📁 <strong>Unidades:</strong> ${result.stats?.drives_count || 0}</div>
-                         <div class="stat-item">📂 <strong>Carpetas:</strong> ${result.stats?.folders_count || 0}</div>
-                         <div class="stat-item">👥 <strong>Gestores:</strong> ${result.stats?.managers_count || 0}</div>
-                         <div class="stat-item">⏱️ <strong>Duración:</strong> ${result.stats?.duration_minutes || 0} minutos</div>
-                         <div class="stat-item">🆔 <strong>ID Sync:</strong> ${result.sync_id || 'N/A'}</div>
-                     </div>` :
-                    `<p class="error">❌ <strong>Error en la sincronización:</strong> ${result.error || 'Error desconocido'}</p>`
-                }
+                <p class="success">✅ <strong>Sincronización iniciada en segundo plano</strong></p>
+                <div class="stats">
+                    <div class="stat-item">🆔 <strong>ID Trabajo:</strong> ${job.job_id}</div>
+                    <div class="stat-item">🏢 <strong>Tenant:</strong> ${req.tenant.id}</div>
+                    <div class="stat-item">📊 <strong>Estado y estadísticas:</strong> <a href="${jobUrl}">${jobUrl}</a></div>
+                </div>
+${renderSyncProgress(req.tenant.id)}
                 <a href="/" class="back-link">← Volver al inicio</a>
-                <a href="/sync/run" class="back-link" style="margin-left: 20px;">🔄 Sincronizar de nuevo</a>
+                <a href="${jobUrl}" class="back-link" style="margin-left: 20px;">📊 Ver progreso</a>
             </div>
         </body>
         </html>`;
@@ -310,14 +508,14 @@ app.get('/sync/run', async (req, res) => {
         </body>
         </html>`;
         
-        res.status(500).send(errorHtml);
+        res.status(getApiErrorStatus(error)).send(errorHtml);
     }
 });
 
 // Endpoint de prueba para verificar impersonación
 app.get('/test/drives', async (req, res) => {
     try {
-        const googleDriveService = require('./googleDriveService');
+        const googleDriveService = req.tenant.googleDriveService;
         await googleDriveService.initialize();
         
         // Obtener información del usuario actual
@@ -335,13 +533,15 @@ app.get('/test/drives', async (req, res) => {
             success: true,
             user: aboutResponse.data.user,
             drives: drivesResponse.data.drives || [],
-            impersonating: process.env.IMPERSONATE_USER_EMAIL
+            tenant: req.tenant.id,
+            impersonating: req.tenant.googleDriveService.impersonateEmail
         });
     } catch (error) {
         res.status(500).json({
             success: false,
             error: error.message,
-            impersonating: process.env.IMPERSONATE_USER_EMAIL
+            tenant: req.tenant.id,
+            impersonating: req.tenant.googleDriveService.impersonateEmail
         });
     }
 });
@@ -353,7 +553,7 @@ app.post('/maintenance', async (req, res) => {
     try {
         UTILS.log('info', 'Mantenimiento solicitado vía API');
         
-        const result = await syncService.performMaintenance();
+        const result = await req.tenant.syncService.performMaintenance();
         
         res.json({
             success: result.success,
@@ -370,13 +570,12 @@ app.post('/maintenance', async (req, res) => {
 
 // === RUTAS DE API FIRESTORE ===
 
-const firestoreService = require('./firestoreService');
-const googleDriveService = require('./googleDriveService');
-
-// Obtener unidades compartidas desde Firestore
+// Obtener unidades compartidas desde Firestore (?includeDeleted=true incluye las marcadas como eliminadas)
 app.get('/api/firestore/shared-drives', async (req, res) => {
     try {
-        const drives = await firestoreService.getSharedDrives();
+        const drives = await req.tenant.firestoreService.getSharedDrives({
+            includeDeleted: req.query.includeDeleted === 'true'
+        });
         res.json({
             success: true,
             drives: drives
@@ -390,10 +589,201 @@ app.get('/api/firestore/shared-drives', async (req, res) => {
     }
 });
 
+// === LECTURA PAGINADA ===
+
+// limit, cursor, sort (uno de PAGINATION.SORT_FIELDS[entity]) y order (asc|desc).
+// Devuelve { page } o { error } con el mensaje para responder 400
+function getPageFromQuery(query, entity) {
+    const sortFields = PAGINATION.SORT_FIELDS[entity];
+    const limit = query.limit ? parseInt(query.limit) : PAGINATION.DEFAULT_LIMIT;
+    const sort = query.sort || sortFields[0];
+    const order = query.order || 'asc';
+
+    if (isNaN(limit) || limit < 1 || limit > PAGINATION.MAX_LIMIT) {
+        return { error: `limit debe estar entre 1 y ${PAGINATION.MAX_LIMIT}` };
+    }
+    if (!sortFields.includes(sort)) {
+        return { error: `sort debe ser uno de: ${sortFields.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order debe ser asc o desc' };
+    }
+    return { page: { limit, cursor: query.cursor || null, sort, order } };
+}
+
+// 'true' o 'false' de la query; undefined si no se indicó y null si el valor no es válido
+function getBooleanQuery(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return value === 'true' ? true : value === 'false' ? false : null;
+}
+
+// Filtros de miembros comunes a /api/shared-drives/:id/members y /api/members; { filters } o { error }
+function getMemberFiltersFromQuery(query) {
+    const isManager = getBooleanQuery(query.isManager);
+    if (isManager === null) {
+        return { error: 'isManager debe ser true o false' };
+    }
+    if (query.role && !GOOGLE_DRIVE_API.MEMBER_ROLES.includes(query.role)) {
+        return { error: `role debe ser uno de: ${GOOGLE_DRIVE_API.MEMBER_ROLES.join(', ')}` };
+    }
+    return { filters: { email: query.email, role: query.role, type: query.type, isManager } };
+}
+
+// Unidades desde Firestore por páginas
+// Filtros: hidden (true|false), hasNoManagers=true, createdByFrontend=true, includeDeleted=true
+app.get('/api/shared-drives', async (req, res) => {
+    try {
+        const { page, error } = getPageFromQuery(req.query, 'drives');
+        const hidden = getBooleanQuery(req.query.hidden);
+        if (error || hidden === null) {
+            return res.status(400).json({ success: false, error: error || 'hidden debe ser true o false' });
+        }
+
+        const result = await req.tenant.firestoreService.listSharedDrives({
+            hidden,
+            hasNoManagers: req.query.hasNoManagers === 'true',
+            createdByFrontend: req.query.createdByFrontend === 'true',
+            includeDeleted: req.query.includeDeleted === 'true'
+        }, page);
+
+        res.json({
+            success: true,
+            count: result.items.length,
+            drives: result.items,
+            next_cursor: result.next_cursor
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error al listar unidades compartidas', null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Una unidad desde Firestore
+app.get('/api/shared-drives/:id', async (req, res) => {
+    try {
+        const drive = await req.tenant.firestoreService.getSharedDrive(req.params.id);
+        if (!drive) {
+            return res.status(404).json({ success: false, error: `Unidad no encontrada: ${req.params.id}` });
+        }
+
+        res.json({
+            success: true,
+            drive: drive
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al obtener la unidad ${req.params.id}`, null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Carpetas de una unidad desde Firestore por páginas. Filtros: parentId (root para el primer nivel), createdByFrontend=true,
+// includeDeleted=true (carpetas de una unidad marcada como eliminada)
+app.get('/api/shared-drives/:id/folders', async (req, res) => {
+    try {
+        const { page, error } = getPageFromQuery(req.query, 'folders');
+        if (error) {
+            return res.status(400).json({ success: false, error: error });
+        }
+
+        const result = await req.tenant.firestoreService.listFoldersForDrive(req.params.id, {
+            parentId: req.query.parentId,
+            createdByFrontend: req.query.createdByFrontend === 'true',
+            includeDeleted: req.query.includeDeleted === 'true'
+        }, page);
+
+        res.json({
+            success: true,
+            drive_id: req.params.id,
+            count: result.items.length,
+            folders: result.items,
+            next_cursor: result.next_cursor
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al listar carpetas de la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Búsqueda de miembros en todas las unidades (drive_permissions) por páginas.
+// Filtros: email (prefijo), role, type, isManager, driveId, includeDeleted=true
+app.get('/api/members', async (req, res) => {
+    try {
+        const { page, error: pageError } = getPageFromQuery(req.query, 'members');
+        const { filters, error: filterError } = getMemberFiltersFromQuery(req.query);
+        if (pageError || filterError) {
+            return res.status(400).json({ success: false, error: pageError || filterError });
+        }
+
+        const result = await req.tenant.firestoreService.listMembers({
+            ...filters,
+            driveId: req.query.driveId,
+            includeDeleted: req.query.includeDeleted === 'true'
+        }, page);
+
+        res.json({
+            success: true,
+            count: result.items.length,
+            members: result.items,
+            next_cursor: result.next_cursor
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error al buscar miembros', null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Registro de cambios detectados por las sincronizaciones (sync_changes), más recientes primero
+// Filtros: driveId, email, entity (drive|folder|member), change, syncId, from, to (ISO 8601), limit (máx. 1000)
+app.get('/api/sync-changes', async (req, res) => {
+    try {
+        const { driveId, email, entity, change, syncId } = req.query;
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({ success: false, error: 'from y to deben ser fechas ISO 8601' });
+        }
+        if (isNaN(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ success: false, error: 'limit debe estar entre 1 y 1000' });
+        }
+        if (entity && !['drive', 'folder', 'member'].includes(entity)) {
+            return res.status(400).json({ success: false, error: 'entity debe ser drive, folder o member' });
+        }
+
+        const changes = await req.tenant.firestoreService.getSyncChanges({ driveId, email, entity, change, syncId, from, to, limit });
+        res.json({
+            success: true,
+            count: changes.length,
+            changes: changes
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error al consultar el registro de cambios', null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Crear nueva unidad compartida
 app.post('/api/shared-drives', async (req, res) => {
     try {
-        const { name, managers } = req.body;
+        const { name, managers, templateId } = req.body || {};
         
         // Validar nombre
         if (!name || name.trim() === '') {
@@ -410,20 +800,36 @@ app.post('/api/shared-drives', async (req, res) => {
                  Array.isArray(managers) ? managers : []) : 
              [];
         
+        // Plantilla opcional: carpetas, miembros, restricciones y color
+        let template = null;
+        if (templateId) {
+            template = await req.tenant.templateService.getTemplate(templateId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Plantilla no encontrada: ${templateId}`
+                });
+            }
+        }
+        
         UTILS.log('info', `Creando unidad compartida: ${name.trim()}`);
          
          // Crear unidad en Google Drive
-         const result = await googleDriveService.createSharedDrive(name.trim(), managerEmails);
+         const result = await req.tenant.googleDriveService.createSharedDrive(name.trim(), managerEmails, { template });
         
         // Guardar en Firestore
-        await firestoreService.saveNewSharedDrive(result.drive, result.managers);
+        await req.tenant.firestoreService.saveNewSharedDrive(result.drive, result.managers, result.folders);
         
         UTILS.log('info', `Unidad compartida creada y guardada: ${result.drive.name} (ID: ${result.drive.id})`);
         
         res.json({
             success: true,
             drive: result.drive,
-            managers: result.managers
+            managers: result.managers,
+            members: result.members,
+            folders_created: result.folders.length,
+            template_id: result.template_id,
+            errors: result.errors
         });
         
     } catch (error) {
@@ -435,6 +841,450 @@ app.post('/api/shared-drives', async (req, res) => {
     }
 });
 
+// Aprovisionamiento masivo: JSON { drives: [{ name, managers }] }, { csv: "..." } o cuerpo text/csv
+app.post('/api/shared-drives/bulk', express.text({ type: ['text/csv', 'text/plain'] }), async (req, res) => {
+    try {
+        const { provisioningService } = req.tenant;
+        let rows;
+
+        try {
+            if (typeof req.body === 'string') {
+                rows = provisioningService.parseInput(req.body, 'csv');
+            } else if (req.body && typeof req.body.csv === 'string') {
+                rows = provisioningService.parseInput(req.body.csv, 'csv');
+            } else {
+                rows = provisioningService.parseInput(req.body || {}, 'json');
+            }
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({ success: false, error: 'No se recibió ninguna unidad' });
+        }
+
+        const templateId = req.query.templateId || (req.body && req.body.templateId);
+        let template = null;
+        if (templateId) {
+            template = await req.tenant.templateService.getTemplate(templateId);
+            if (!template) {
+                return res.status(404).json({ success: false, error: `Plantilla no encontrada: ${templateId}` });
+            }
+        }
+
+        // Más de dos veces la concurrencia configurada solo provoca errores de cuota en la API de Drive
+        let concurrency;
+        if (req.query.concurrency !== undefined) {
+            const maxConcurrency = SYNC.PROVISIONING_CONCURRENCY * 2;
+            concurrency = Number(req.query.concurrency);
+            if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > maxConcurrency) {
+                return res.status(400).json({
+                    success: false,
+                    error: `concurrency debe ser un entero entre 1 y ${maxConcurrency}`
+                });
+            }
+        }
+        const result = await provisioningService.provisionSharedDrives(rows, { concurrency, template });
+
+        res.json({
+            success: result.summary.failed === 0,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error en aprovisionamiento masivo', null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// === CICLO DE VIDA DE UNIDADES COMPARTIDAS ===
+
+// Usar el código HTTP de la API de Drive cuando es un error del cliente (404, 403...)
+function getApiErrorStatus(error) {
+    const code = Number(error.code);
+    return code >= 400 && code < 500 ? code : 500;
+}
+
+// Actualizar una unidad: renombrar, tema o color, restricciones y ocultar/mostrar
+app.patch('/api/shared-drives/:id', async (req, res) => {
+    try {
+        const driveId = req.params.id;
+        const { name, themeId, colorRgb, restrictions, hidden } = req.body || {};
+
+        // Validaciones
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            return res.status(400).json({ success: false, error: 'El nombre de la unidad no puede estar vacío' });
+        }
+        if (themeId !== undefined && colorRgb !== undefined) {
+            return res.status(400).json({ success: false, error: 'No se puede indicar themeId y colorRgb a la vez' });
+        }
+        if (colorRgb !== undefined && !/^#[0-9a-fA-F]{6}$/.test(colorRgb)) {
+            return res.status(400).json({ success: false, error: 'colorRgb debe tener el formato #RRGGBB' });
+        }
+        if (restrictions !== undefined) {
+            const invalidKeys = Object.keys(restrictions || {})
+                .filter(key => !GOOGLE_DRIVE_API.RESTRICTION_KEYS.includes(key) || typeof restrictions[key] !== 'boolean');
+            if (!restrictions || typeof restrictions !== 'object' || invalidKeys.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Restricciones inválidas: ${invalidKeys.join(', ') || 'se esperaba un objeto'}`,
+                    allowed: GOOGLE_DRIVE_API.RESTRICTION_KEYS
+                });
+            }
+        }
+        if (hidden !== undefined && typeof hidden !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'hidden debe ser booleano' });
+        }
+
+        const changes = {
+            name: name !== undefined ? name.trim() : undefined,
+            themeId,
+            colorRgb,
+            restrictions
+        };
+        const hasUpdates = Object.values(changes).some(value => value !== undefined);
+
+        if (!hasUpdates && hidden === undefined) {
+            return res.status(400).json({ success: false, error: 'No se indicó ningún cambio' });
+        }
+
+        const { googleDriveService, firestoreService } = req.tenant;
+        let drive = null;
+
+        if (hasUpdates) {
+            drive = await googleDriveService.updateSharedDrive(driveId, changes);
+        }
+        if (hidden !== undefined) {
+            const hiddenDrive = await googleDriveService.setSharedDriveHidden(driveId, hidden);
+            drive = { ...drive, ...hiddenDrive, hidden: hidden };
+        }
+
+        // Reflejar el cambio en Firestore sin esperar a la próxima sincronización
+        await firestoreService.updateSharedDrive({ ...drive, id: driveId });
+
+        res.json({
+            success: true,
+            drive: drive
+        });
+
+    } catch (error) {
+        UTILS.log('error', `Error al actualizar unidad compartida ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Eliminar una unidad; si no está vacía se rechaza salvo con ?force=true
+app.delete('/api/shared-drives/:id', async (req, res) => {
+    try {
+        const driveId = req.params.id;
+        const force = req.query.force === 'true' || (req.body && req.body.force === true);
+        const { googleDriveService, firestoreService } = req.tenant;
+
+        if (!force && !(await googleDriveService.isSharedDriveEmpty(driveId))) {
+            return res.status(409).json({
+                success: false,
+                error: 'La unidad no está vacía; usa force=true para eliminarla con su contenido'
+            });
+        }
+
+        await googleDriveService.deleteSharedDrive(driveId, { force });
+        const deleted = await firestoreService.deleteSharedDrive(driveId);
+
+        res.json({
+            success: true,
+            drive_id: driveId,
+            forced: force,
+            deleted: deleted
+        });
+
+    } catch (error) {
+        UTILS.log('error', `Error al eliminar unidad compartida ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// === PLANTILLAS DE UNIDADES ===
+
+app.get('/api/templates', async (req, res) => {
+    try {
+        const templates = await req.tenant.templateService.getTemplates();
+        res.json({
+            success: true,
+            templates: templates
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error al obtener plantillas', null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/templates/:templateId', async (req, res) => {
+    try {
+        const template = await req.tenant.templateService.getTemplate(req.params.templateId);
+        if (!template) {
+            return res.status(404).json({ success: false, error: `Plantilla no encontrada: ${req.params.templateId}` });
+        }
+        res.json({
+            success: true,
+            template: template
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al obtener plantilla ${req.params.templateId}`, null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Crear o reemplazar una plantilla: { id, name, description, folders, members, restrictions, colorRgb | themeId }
+app.post(['/api/templates', '/api/templates/:templateId'], async (req, res) => {
+    try {
+        const input = { ...(req.body || {}) };
+        if (req.params.templateId) {
+            input.id = req.params.templateId;
+        }
+
+        const { template, errors } = await req.tenant.templateService.saveTemplate(input);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors: errors });
+        }
+
+        res.json({
+            success: true,
+            template: template
+        });
+    } catch (error) {
+        UTILS.log('error', 'Error al guardar plantilla', null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Capturar una plantilla desde el árbol de carpetas sincronizado de una unidad
+app.post('/api/shared-drives/:id/template', async (req, res) => {
+    try {
+        const { templateId, name, description, includeMembers = false, includeRestrictions = true } = req.body || {};
+
+        const { template, errors } = await req.tenant.templateService.captureFromDrive(req.params.id, {
+            templateId,
+            name,
+            description,
+            includeMembers,
+            includeRestrictions
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors: errors });
+        }
+
+        res.json({
+            success: true,
+            template: template
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al capturar plantilla de la unidad ${req.params.id}`, null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/templates/:templateId', async (req, res) => {
+    try {
+        const deleted = await req.tenant.templateService.deleteTemplate(req.params.templateId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: `Plantilla no encontrada: ${req.params.templateId}` });
+        }
+        res.json({
+            success: true,
+            template_id: req.params.templateId
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al eliminar plantilla ${req.params.templateId}`, null, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// === MIEMBROS DE UNIDADES COMPARTIDAS ===
+
+// Acepta { members: [...] } o un solo miembro en el body; el permissionId de la URL tiene prioridad
+function getMembersFromRequest(req) {
+    const body = req.body || {};
+    const members = Array.isArray(body.members) ? body.members : [body];
+
+    if (req.params.permissionId) {
+        return [{ ...members[0], permissionId: req.params.permissionId }];
+    }
+    return members.filter(member => member && (member.email || member.permissionId));
+}
+
+// Listar miembros de una unidad desde Firestore por páginas (filtros: email, role, type, isManager);
+// con source=drive se leen todos al momento desde Google Drive
+app.get('/api/shared-drives/:id/members', async (req, res) => {
+    try {
+        if (req.query.source === 'drive') {
+            const members = await req.tenant.syncService.listDriveMembers(req.params.id);
+            return res.json({
+                success: true,
+                drive_id: req.params.id,
+                members: members
+            });
+        }
+
+        const { page, error: pageError } = getPageFromQuery(req.query, 'members');
+        const { filters, error: filterError } = getMemberFiltersFromQuery(req.query);
+        if (pageError || filterError) {
+            return res.status(400).json({ success: false, error: pageError || filterError });
+        }
+
+        const result = await req.tenant.firestoreService.listMembers({
+            ...filters,
+            driveId: req.params.id,
+            includeDeleted: req.query.includeDeleted === 'true'
+        }, page);
+        res.json({
+            success: true,
+            drive_id: req.params.id,
+            count: result.items.length,
+            members: result.items,
+            next_cursor: result.next_cursor
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al listar miembros de la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Agregar miembros: [{ email, role, type: 'user' | 'group', sendNotificationEmail }]
+app.post('/api/shared-drives/:id/members', async (req, res) => {
+    try {
+        const members = getMembersFromRequest(req);
+        if (members.length === 0) {
+            return res.status(400).json({ success: false, error: 'Se requiere al menos un miembro con email' });
+        }
+
+        const result = await req.tenant.syncService.addDriveMembers(req.params.id, members);
+        res.json({
+            success: result.failed === 0,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al agregar miembros a la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cambiar rol: [{ permissionId | email, role }]
+app.patch(['/api/shared-drives/:id/members', '/api/shared-drives/:id/members/:permissionId'], async (req, res) => {
+    try {
+        const members = getMembersFromRequest(req);
+        if (members.length === 0) {
+            return res.status(400).json({ success: false, error: 'Se requiere al menos un miembro (permissionId o email) con role' });
+        }
+
+        const result = await req.tenant.syncService.updateDriveMemberRoles(req.params.id, members);
+        res.json({
+            success: result.failed === 0,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al cambiar roles en la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Quitar miembros: [{ permissionId | email }]
+app.delete(['/api/shared-drives/:id/members', '/api/shared-drives/:id/members/:permissionId'], async (req, res) => {
+    try {
+        const members = getMembersFromRequest(req);
+        if (members.length === 0) {
+            return res.status(400).json({ success: false, error: 'Se requiere al menos un miembro (permissionId o email)' });
+        }
+
+        const result = await req.tenant.syncService.removeDriveMembers(req.params.id, members);
+        res.json({
+            success: result.failed === 0,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al quitar miembros de la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// === CARPETAS DE UNIDADES COMPARTIDAS ===
+
+// Crear una carpeta: { name, parentId } (sin parentId va en la raíz) o { path: '/Admin/Docs/Nueva' },
+// que crea también las carpetas intermedias que falten
+app.post('/api/shared-drives/:id/folders', async (req, res) => {
+    try {
+        const { name, parentId, path } = req.body || {};
+        if (!name && !path) {
+            return res.status(400).json({ success: false, error: 'Se requiere name o path' });
+        }
+
+        const result = await req.tenant.syncService.createFolder(req.params.id, { name, parentId, path });
+        res.status(result.created.length > 0 ? 201 : 200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al crear carpeta en la unidad ${req.params.id}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Renombrar y/o mover una carpeta: { name, parentId, driveId }; driveId sin parentId la mueve a la raíz
+// de esa unidad. Las rutas completas de la carpeta y sus subcarpetas se actualizan en Firestore
+app.patch('/api/folders/:folderId', async (req, res) => {
+    try {
+        const { name, parentId, driveId } = req.body || {};
+        const result = await req.tenant.syncService.updateFolder(req.params.folderId, { name, parentId, driveId });
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        UTILS.log('error', `Error al actualizar la carpeta ${req.params.folderId}`, null, error);
+        res.status(getApiErrorStatus(error)).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // === MANEJO DE ERRORES ===
 
 // Middleware de manejo de errores
@@ -482,18 +1332,26 @@ function setupCronJob() {
     UTILS.log('info', `Expresión cron: ${cronExpression}`);
 
     cronJob = cron.schedule(cronExpression, async () => {
-        try {
-            UTILS.log('info', 'Ejecutando sincronización automática programada');
-            
-            const result = await syncService.performSync();
-            
-            if (result.success) {
-                UTILS.log('info', 'Sincronización automática completada exitosamente');
-            } else {
-                UTILS.log('error', 'Sincronización automática falló', null, new Error(result.error));
+        UTILS.log('info', 'Ejecutando sincronización automática programada');
+
+        // Los tenants se sincronizan uno tras otro para no competir por cuota
+        for (const tenant of tenantManager.getTenants()) {
+            try {
+                const result = await tenant.syncService.performSync();
+                
+                if (result.success) {
+                    UTILS.log('info', `Sincronización automática completada exitosamente - Tenant: ${tenant.id}`);
+                } else {
+                    UTILS.log('error', `Sincronización automática falló - Tenant: ${tenant.id}`, null, new Error(result.error));
+                }
+            } catch (error) {
+                // Otra instancia o una sincronización manual tiene el lease: se omite esta ejecución
+                if (error.code === 409) {
+                    UTILS.log('warn', `Sincronización automática omitida - Tenant: ${tenant.id}: ${error.message}`);
+                    continue;
+                }
+                UTILS.log('error', `Error en sincronización automática - Tenant: ${tenant.id}`, null, error);
             }
-        } catch (error) {
-            UTILS.log('error', 'Error en sincronización automática', null, error);
         }
     }, {
         scheduled: true,
@@ -517,8 +1375,8 @@ async function startServer() {
     try {
         UTILS.log('info', 'Iniciando Backend Sync Server');
         
-        // Inicializar servicios
-        await syncService.initialize();
+        // Inicializar servicios de todos los tenants
+        await tenantManager.initialize();
         
         // Configurar tareas programadas
         setupCronJob();
@@ -544,6 +1402,7 @@ async function startServer() {
                 UTILS.log('info', 'Servidor cerrado');
                 process.exit(0);
             });
+            closeEventStreams(server);
         });
 
         process.on('SIGINT', () => {
@@ -553,6 +1412,7 @@ async function startServer() {
                 UTILS.log('info', 'Servidor cerrado');
                 process.exit(0);
             });
+            closeEventStreams(server);
         });
 
         // Manejo de errores no capturados
@@ -579,14 +1439,25 @@ async function startServer() {
 // Permitir ejecución de comandos desde línea de comandos
 if (require.main === module) {
     const command = process.argv[2];
+    const tenantId = process.argv[3] || TENANTS.DEFAULT_ID;
+
+    // Inicializar tenants y obtener el indicado en la línea de comandos
+    const getCliTenant = async () => {
+        await tenantManager.initialize();
+        const tenant = tenantManager.getTenant(tenantId);
+        if (!tenant) {
+            throw new Error(`Tenant no encontrado: ${tenantId}`);
+        }
+        return tenant;
+    };
     
     switch (command) {
         case 'sync':
             // Ejecutar sincronización única
             (async () => {
                 try {
-                    await syncService.initialize();
-                    const result = await syncService.performSync();
+                    const tenant = await getCliTenant();
+                    const result = await tenant.syncService.performSync();
                     console.log('Resultado:', JSON.stringify(result, null, 2));
                     process.exit(result.success ? 0 : 1);
                 } catch (error) {
@@ -596,12 +1467,41 @@ if (require.main === module) {
             })();
             break;
             
+        case 'provision':
+            // Aprovisionar unidades desde un archivo: node server.js provision <archivo.csv|json> [tenant]
+            (async () => {
+                try {
+                    const filePath = process.argv[3];
+                    if (!filePath) {
+                        throw new Error('Uso: node server.js provision <archivo.csv|archivo.json> [tenant]');
+                    }
+
+                    await tenantManager.initialize();
+                    const tenant = tenantManager.getTenant(process.argv[4] || TENANTS.DEFAULT_ID);
+                    if (!tenant) {
+                        throw new Error(`Tenant no encontrado: ${process.argv[4]}`);
+                    }
+
+                    const content = require('fs').readFileSync(filePath, 'utf8');
+                    const format = filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+                    const rows = tenant.provisioningService.parseInput(content, format);
+                    const result = await tenant.provisioningService.provisionSharedDrives(rows);
+
+                    console.log('Resultado:', JSON.stringify(result, null, 2));
+                    process.exit(result.summary.failed === 0 ? 0 : 1);
+                } catch (error) {
+                    console.error('Error:', error.message);
+                    process.exit(1);
+                }
+            })();
+            break;
+            
         case 'status':
             // Obtener estado
             (async () => {
                 try {
-                    await syncService.initialize();
-                    const status = await syncService.getSyncStatus();
+                    const tenant = await getCliTenant();
+                    const status = await tenant.syncService.getSyncStatus();
                     console.log('Estado:', JSON.stringify(status, null, 2));
                     process.exit(0);
                 } catch (error) {
@@ -615,8 +1515,8 @@ if (require.main === module) {
             // Ejecutar mantenimiento
             (async () => {
                 try {
-                    await syncService.initialize();
-                    const result = await syncService.performMaintenance();
+                    const tenant = await getCliTenant();
+                    const result = await tenant.syncService.performMaintenance();
                     console.log('Resultado:', JSON.stringify(result, null, 2));
                     process.exit(result.success ? 0 : 1);
                 } catch (error) {
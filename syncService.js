@@ -1,16 +1,68 @@
+const os = require('os');
+const EventEmitter = require('events');
 const googleDriveService = require('./googleDriveService');
 const firestoreService = require('./firestoreService');
-const { SYNC, UTILS } = require('./config');
+const { GOOGLE_DRIVE_API, SYNC, SYNC_STATUS, TENANTS, MESSAGES, UTILS } = require('./config');
+const AdaptiveWorkerPool = require('./workerPool');
 const { v4: uuidv4 } = require('uuid');
 
-class SyncService {
-    constructor() {
+// Código gRPC con el que Firestore indica cuota o límite de escritura excedido
+const FIRESTORE_RESOURCE_EXHAUSTED = 8;
+
+// Identificador de esta instancia en el lease de sincronización (varias instancias comparten Firestore)
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+
+// Error de una operación pedida desde la API; code es el estado HTTP que debe responder la ruta
+function createRequestError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Emite 'sync-event' con el progreso de la sincronización en curso (ver emitSyncEvent)
+class SyncService extends EventEmitter {
+    // Cada tenant tiene su propia instancia con sus servicios y su propio estado de ejecución
+    constructor(options = {}) {
+        super();
+        // Cada cliente de /sync/events agrega un listener
+        this.setMaxListeners(0);
+        this.tenantId = options.tenantId || TENANTS.DEFAULT_ID;
+        this.googleDriveService = options.googleDriveService || googleDriveService;
+        this.firestoreService = options.firestoreService || firestoreService;
         this.isRunning = false;
         this.currentSyncId = null;
+        this.lockHeartbeat = null;
+        this.lockLost = false;
+        this.cancelRequested = false;
+        this.lastSyncEvent = null;
         this.syncStats = {
             drives_count: 0,
             folders_count: 0,
             managers_count: 0,
+            permissions_count: 0,
+            folder_permissions_count: 0,
+            restricted_folders_count: 0,
+            changes_count: 0,
+            files_count: 0,
+            total_bytes: 0,
+            drives_removed: 0,
+            drives_restored: 0,
+            drives_skipped: 0,
+            resumed_from: null,
+            folders_removed: 0,
+            managers_added: 0,
+            managers_removed: 0,
+            managers_role_changed: 0,
+            permissions_removed: 0,
+            files_removed: 0,
+            sync_changes_count: 0,
+            folder_list_calls: 0,
+            api_calls_saved: 0,
+            api_calls: 0,
+            api_retries: 0,
+            rate_limit_errors: 0,
+            drive_pool: null,
+            firestore_pool: null,
             errors: [],
             start_time: null,
             end_time: null,
@@ -19,16 +71,25 @@ class SyncService {
         };
     }
 
+    // Crear el servicio de sincronización de un tenant a partir de sus servicios de Drive y Firestore
+    forTenant(tenantId, services) {
+        return new SyncService({
+            tenantId: tenantId,
+            googleDriveService: services.googleDriveService,
+            firestoreService: services.firestoreService
+        });
+    }
+
     // === INICIALIZACIÓN ===
 
     async initialize() {
         try {
-            UTILS.log('info', 'Inicializando Sync Service');
+            UTILS.log('info', `Inicializando Sync Service - Tenant: ${this.tenantId}`);
             
             // Inicializar servicios
             await Promise.all([
-                googleDriveService.initialize(),
-                firestoreService.initialize()
+                this.googleDriveService.initialize(),
+                this.firestoreService.initialize()
             ]);
             
             UTILS.log('info', 'Sync Service inicializado exitosamente');
@@ -41,47 +102,84 @@ class SyncService {
     // === SINCRONIZACIÓN PRINCIPAL ===
 
     async performSync(options = {}) {
-        if (this.isRunning) {
-            const message = 'Ya hay una sincronización en progreso';
-            UTILS.log('warn', message);
-            throw new Error(message);
-        }
+        const syncId = uuidv4();
+        await this.acquireSyncLock(syncId, 'full');
+        return this.runFullSync(syncId, options);
+    }
+
+    // Ejecutar la sincronización completa con el lease ya tomado para syncId
+    async runFullSync(syncId, options = {}) {
+        const {
+            includeFiles = SYNC.FILE_INVENTORY_ENABLED,
+            includeFolderPermissions = SYNC.FOLDER_PERMISSIONS_ENABLED,
+            resume = SYNC.RESUME_INTERRUPTED
+        } = options;
 
         this.isRunning = true;
-        this.currentSyncId = uuidv4();
+        this.currentSyncId = syncId;
         this.resetStats();
         this.syncStats.start_time = new Date();
 
         try {
-            UTILS.log('info', `Iniciando sincronización completa - ID: ${this.currentSyncId}`);
+            UTILS.log('info', `Iniciando sincronización completa - ID: ${this.currentSyncId} - Tenant: ${this.tenantId}`);
+            this.emitSyncEvent('phase', { phase: 'started', sync_type: 'full' });
             
+            // Con el lease tomado, cualquier registro en running quedó huérfano; la última completa
+            // interrumpida se reanuda omitiendo las unidades que ya tenían checkpoint
+            await this.firestoreService.markInterruptedSyncs(this.currentSyncId);
+            const resumeFrom = resume ? await this.firestoreService.getResumableSync() : null;
+
             // Registrar inicio en Firestore
-            await firestoreService.recordSyncStart(this.currentSyncId);
-            await firestoreService.updateSyncStatus('running', this.currentSyncId);
+            await this.firestoreService.recordSyncStart(this.currentSyncId, 'full', resumeFrom);
+            await this.firestoreService.updateSyncStatus('running', this.currentSyncId);
+
+            if (resumeFrom) {
+                await this.firestoreService.markSyncResumed(resumeFrom.sync_id, this.currentSyncId);
+                this.syncStats.resumed_from = resumeFrom.sync_id;
+                UTILS.log('info', `Reanudando sincronización ${resumeFrom.sync_id}: ${resumeFrom.completed_drive_ids.length} unidades ya completadas`);
+            }
 
             // Verificar conectividad
-            const connectionTest = await googleDriveService.testConnection();
+            const connectionTest = await this.googleDriveService.testConnection();
             if (!connectionTest.success) {
                 throw new Error(`Error de conectividad con Google Drive: ${connectionTest.error}`);
             }
 
             UTILS.log('info', `Conectado como: ${connectionTest.user.emailAddress}`);
 
-            // Realizar sincronización completa desde Google Drive
-            const driveData = await googleDriveService.performFullSync();
-            this.syncStats.drives_count = driveData.stats.drives_count;
-            this.syncStats.folders_count = driveData.stats.folders_count;
-            this.syncStats.managers_count = driveData.stats.managers_count;
-            this.syncStats.errors = driveData.stats.errors;
+            this.googleDriveService.resetApiStats();
+
+            // 1. Listar unidades y guardar sus metadatos (elimina las que ya no existen en Drive)
+            const drives = await this.googleDriveService.getAllSharedDrives();
+            this.syncStats.drives_count = drives.length;
+
+            const driveChanges = [];
+            const syncResult = await this.firestoreService.syncSharedDrives(drives, { changes: driveChanges, syncId: this.currentSyncId });
+            UTILS.log('info', `Resultado sincronización: ${syncResult.processed} procesadas, ${syncResult.deleted} eliminadas`);
+            if (syncResult.deleted_ids.length > 0) {
+                await this.firestoreService.deleteChangeTokens(syncResult.deleted_ids);
+            }
+            this.recordRemovedDriveData(syncResult);
+            await this.saveChangeLog(driveChanges);
 
-            // Actualizar progreso
-            await firestoreService.updateSyncProgress(this.currentSyncId, {
+            const progress = {
                 drives_count: this.syncStats.drives_count,
-                status: 'syncing_to_firestore'
+                drives_completed: 0,
+                status: 'syncing'
+            };
+            await this.firestoreService.updateSyncProgress(this.currentSyncId, progress);
+            this.emitSyncEvent('phase', { phase: 'syncing', ...progress });
+
+            // 2. Flujo por unidad: leer, escribir y registrar progreso antes de liberar sus datos
+            await this.streamDrives(drives, {
+                includeFiles,
+                includeFolderPermissions,
+                newDriveIds: new Set(syncResult.added_ids),
+                skipDriveIds: new Set(resumeFrom ? resumeFrom.completed_drive_ids : [])
             });
 
-            // Sincronizar datos a Firestore
-            await this.syncToFirestore(driveData.drives);
+            Object.assign(this.syncStats, this.googleDriveService.getApiStats());
+            UTILS.log('info', `Llamadas a files.list para carpetas: ${this.syncStats.folder_list_calls} (${this.syncStats.api_calls_saved} ahorradas frente al recorrido recursivo)`);
 
             // Calcular duración
             this.syncStats.end_time = new Date();
@@ -90,8 +188,9 @@ class SyncService {
 
             // Completar registro
             const status = this.syncStats.errors.length > 0 ? 'completed_with_errors' : 'completed';
-            await firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
-            await firestoreService.updateSyncStatus(status);
+            await this.firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
+            await this.firestoreService.updateSyncStatus(status);
+            this.emitSyncEvent('finished', { status, stats: this.syncStats });
 
             UTILS.log('info', `Sincronización completada - Duración: ${this.syncStats.duration_minutes} minutos`);
             UTILS.log('info', `Estadísticas: ${this.syncStats.drives_count} unidades, ${this.syncStats.folders_count} carpetas, ${this.syncStats.managers_count} managers`);
@@ -103,6 +202,7 @@ class SyncService {
             return {
                 success: true,
                 sync_id: this.currentSyncId,
+                tenant: this.tenantId,
                 stats: this.syncStats,
                 status: status
             };
@@ -111,125 +211,469 @@ class SyncService {
             this.syncStats.end_time = new Date();
             this.syncStats.duration_ms = this.syncStats.end_time - this.syncStats.start_time;
             this.syncStats.duration_minutes = Math.round(this.syncStats.duration_ms / 60000 * 100) / 100;
-            this.syncStats.errors.push(`Error crítico: ${error.message}`);
+            // Solo la parada por cancelación termina como cancelled; cualquier otro error es un fallo
+            const status = error.sync_stop_reason === 'cancelled' ? SYNC_STATUS.CANCELLED : 'failed';
+            if (status === 'failed') {
+                this.syncStats.errors.push(`Error crítico: ${error.message}`);
+            }
 
             // Registrar error
-            await firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, 'failed');
-            await firestoreService.updateSyncStatus('failed');
+            await this.firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
+            // Sin el lease, sync_status pertenece a la sincronización de la instancia que lo tomó
+            if (!this.lockLost) {
+                await this.firestoreService.updateSyncStatus(status);
+            }
+            this.emitSyncEvent('finished', { status, error: error.message, stats: this.syncStats });
 
-            UTILS.log('error', `Sincronización falló - ID: ${this.currentSyncId}`, null, error);
+            if (status === SYNC_STATUS.CANCELLED) {
+                UTILS.log('warn', `Sincronización cancelada - ID: ${this.currentSyncId}`);
+            } else {
+                UTILS.log('error', `Sincronización falló - ID: ${this.currentSyncId}`, null, error);
+            }
             
             return {
                 success: false,
                 sync_id: this.currentSyncId,
+                tenant: this.tenantId,
                 stats: this.syncStats,
                 error: error.message,
-                status: 'failed'
+                status: status
             };
 
         } finally {
+            await this.releaseSyncLock(syncId);
             this.isRunning = false;
             this.currentSyncId = null;
         }
     }
 
-    // === SINCRONIZACIÓN A FIRESTORE ===
+    // === BLOQUEO DE SINCRONIZACIÓN ===
+
+    // Tomar el lease compartido en Firestore antes de empezar; si otra sincronización (en esta u otra
+    // instancia) lo tiene, lanza un error 409 con holder_sync_id
+    async acquireSyncLock(syncId, syncType) {
+        if (this.isRunning) {
+            throw this.createSyncInProgressError(this.currentSyncId, INSTANCE_ID);
+        }
 
-    async syncToFirestore(drives) {
+        const { acquired, holder } = await this.firestoreService.acquireSyncLock(syncId, syncType, INSTANCE_ID, SYNC.LOCK_TTL_SECONDS);
+        if (!acquired) {
+            throw this.createSyncInProgressError(holder.sync_id, holder.instance_id);
+        }
+
+        this.lockLost = false;
+        this.cancelRequested = false;
+        this.lockHeartbeat = setInterval(() => this.renewSyncLock(syncId), SYNC.LOCK_HEARTBEAT_SECONDS * 1000);
+        this.lockHeartbeat.unref();
+    }
+
+    async renewSyncLock(syncId) {
         try {
-            UTILS.log('info', 'Sincronizando datos a Firestore');
+            const lock = await this.firestoreService.renewSyncLock(syncId, SYNC.LOCK_TTL_SECONDS);
+            if (!lock && !this.lockLost) {
+                this.lockLost = true;
+                UTILS.log('error', `Lease de sincronización perdido - ID: ${syncId} - Tenant: ${this.tenantId}`);
+            }
+            // Cancelación pedida desde otra instancia
+            if (lock && lock.cancel_requested_at && !this.cancelRequested) {
+                this.cancelRequested = true;
+                UTILS.log('warn', `Cancelación solicitada para la sincronización ${syncId}`);
+            }
+        } catch (error) {
+            // Un fallo puntual no pierde el lease mientras no venza; se reintenta en el siguiente heartbeat
+            UTILS.log('warn', `No se pudo renovar el lease de sincronización ${syncId}: ${error.message}`);
+        }
+    }
 
-            // 1. Sincronizar unidades compartidas
-            const syncResult = await firestoreService.syncSharedDrives(drives);
-            UTILS.log('info', `Resultado sincronización: ${syncResult.processed} procesadas, ${syncResult.deleted} eliminadas`);
-            
-            // 2. Sincronizar carpetas y managers por unidad
-            for (let i = 0; i < drives.length; i++) {
-                const drive = drives[i];
-                
-                try {
-                    UTILS.log('debug', `Sincronizando datos de unidad ${i + 1}/${drives.length}: ${drive.name}`);
-                    
-                    // Sincronizar carpetas y managers en paralelo
-                    await Promise.all([
-                        firestoreService.syncFoldersForDrive(drive.id, drive.folders || []),
-                        firestoreService.syncManagersForDrive(drive.id, drive.name, drive.managers || [])
-                    ]);
-                    
-                    // Actualizar progreso
-                    await firestoreService.updateSyncProgress(this.currentSyncId, {
-                        current_drive: `${i + 1}/${drives.length}`,
-                        current_drive_name: drive.name
-                    });
-                    
-                } catch (error) {
-                    const errorMsg = `Error sincronizando unidad ${drive.name} a Firestore: ${error.message}`;
-                    UTILS.log('error', errorMsg, null, error);
-                    this.syncStats.errors.push(errorMsg);
+    async releaseSyncLock(syncId) {
+        clearInterval(this.lockHeartbeat);
+        this.lockHeartbeat = null;
+        await this.firestoreService.releaseSyncLock(syncId);
+    }
+
+    // Detener la sincronización si otra instancia tomó el lease (por ejemplo, tras una pausa larga)
+    // o si se pidió cancelarla; las unidades en curso terminan de escribirse
+    // El error lleva sync_stop_reason ('lock_lost' o 'cancelled') para distinguir la parada de un fallo
+    ensureSyncCanContinue() {
+        if (this.lockLost) {
+            const error = new Error('Se perdió el bloqueo de sincronización: otra instancia tomó el lease');
+            error.sync_stop_reason = 'lock_lost';
+            throw error;
+        }
+        if (this.cancelRequested) {
+            const error = new Error('Sincronización cancelada');
+            error.sync_stop_reason = 'cancelled';
+            throw error;
+        }
+    }
+
+    createSyncInProgressError(holderSyncId, holderInstanceId) {
+        const error = createRequestError(`${MESSAGES.ERRORS.SYNC_IN_PROGRESS} (sync ${holderSyncId})`, 409);
+        error.holder_sync_id = holderSyncId;
+        error.holder_instance_id = holderInstanceId;
+        UTILS.log('warn', error.message);
+        return error;
+    }
+
+    // === TRABAJOS DE SINCRONIZACIÓN ===
+
+    // Iniciar una sincronización en segundo plano; el ID del trabajo es el sync_id. El lease se toma
+    // antes de volver, así que un conflicto se lanza aquí como 409 y no después de responder
+    async startSyncJob(syncType, options = {}) {
+        const syncId = uuidv4();
+        await this.acquireSyncLock(syncId, syncType);
+
+        const run = syncType === 'incremental'
+            ? this.runIncrementalSync(syncId, options.driveIds || [], options)
+            : this.runFullSync(syncId, options);
+        run.catch(error => UTILS.log('error', `Error en el trabajo de sincronización ${syncId}`, null, error));
+
+        UTILS.log('info', `Trabajo de sincronización ${syncType} iniciado - ID: ${syncId} - Tenant: ${this.tenantId}`);
+        return {
+            job_id: syncId,
+            sync_type: syncType,
+            status: SYNC_STATUS.RUNNING,
+            tenant: this.tenantId
+        };
+    }
+
+    // Estado del trabajo según sync_history, así responde cualquier instancia; null si no existe
+    async getSyncJob(jobId) {
+        const record = await this.firestoreService.getSyncRecord(jobId);
+
+        if (!record) {
+            // Recién iniciado en esta instancia y aún sin registro
+            return jobId === this.currentSyncId
+                ? { job_id: jobId, status: SYNC_STATUS.RUNNING, cancel_requested: this.cancelRequested, tenant: this.tenantId }
+                : null;
+        }
+
+        return {
+            job_id: jobId,
+            ...record,
+            cancel_requested: Boolean(record.cancel_requested_at) || (jobId === this.currentSyncId && this.cancelRequested),
+            tenant: this.tenantId
+        };
+    }
+
+    // Cancelación cooperativa: la sincronización se detiene antes de la siguiente unidad y queda como cancelled.
+    // Devuelve null si el trabajo no existe; cancel_requested es false si ya había terminado
+    async cancelSyncJob(jobId) {
+        const isLocal = jobId === this.currentSyncId;
+        if (isLocal) {
+            this.cancelRequested = true;
+        }
+
+        // En otra instancia la cancelación llega con el siguiente heartbeat del lease
+        const requested = await this.firestoreService.requestSyncCancel(jobId);
+        if (requested || isLocal) {
+            UTILS.log('info', `Cancelación solicitada para el trabajo ${jobId} - Tenant: ${this.tenantId}`);
+            return { job_id: jobId, cancel_requested: true, status: SYNC_STATUS.RUNNING };
+        }
+
+        const record = await this.firestoreService.getSyncRecord(jobId);
+        if (!record) {
+            return null;
+        }
+        return { job_id: jobId, cancel_requested: false, status: record.status };
+    }
+
+    // === EVENTOS DE PROGRESO ===
+
+    // Evento para /sync/events: { type, sync_id, tenant, timestamp, ...data }.
+    // Tipos: phase (started, syncing), progress (por unidad), drive_error y finished (estado y estadísticas)
+    // El último evento se guarda para el estado inicial de los clientes que se conectan a mitad
+    emitSyncEvent(type, data = {}) {
+        this.lastSyncEvent = {
+            type: type,
+            sync_id: this.currentSyncId,
+            tenant: this.tenantId,
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+        this.emit('sync-event', this.lastSyncEvent);
+    }
+
+    // Checkpoint en sync_history y evento progress con los mismos datos
+    async recordDriveProgress(drive, progress) {
+        await this.firestoreService.recordDriveCheckpoint(this.currentSyncId, drive.id, progress);
+        this.emitSyncEvent('progress', { drive_id: drive.id, ...progress });
+    }
+
+    recordSyncError(errorMsg, drive) {
+        this.syncStats.errors.push(errorMsg);
+        this.emitSyncEvent('drive_error', { drive_id: drive.id, drive_name: drive.name, error: errorMsg });
+    }
+
+    // === FLUJO POR UNIDAD (STREAMING) ===
+
+    // Cada unidad se lee de Drive, se escribe en Firestore y se registra en sync_history antes de
+    // liberar sus datos; solo hay en memoria las unidades en curso y un fallo tardío no pierde lo ya guardado.
+    // options.skipDriveIds: unidades ya completadas por la sincronización que se reanuda
+    async streamDrives(drives, options = {}) {
+        const fetchPool = new AdaptiveWorkerPool({
+            name: 'drive-fetch',
+            concurrency: SYNC.DRIVE_CONCURRENCY,
+            getRateLimitCount: () => this.googleDriveService.getApiStats().rate_limit_errors
+        });
+
+        // Los errores RESOURCE_EXHAUSTED de Firestore reducen la concurrencia de escritura
+        let throttledWrites = 0;
+        const writePool = new AdaptiveWorkerPool({
+            name: 'firestore-write',
+            concurrency: SYNC.FIRESTORE_CONCURRENCY,
+            getRateLimitCount: () => throttledWrites
+        });
+
+        const skipDriveIds = options.skipDriveIds || new Set();
+        const pending = drives.filter(drive => !skipDriveIds.has(drive.id));
+        this.syncStats.drives_skipped = drives.length - pending.length;
+
+        let completed = this.syncStats.drives_skipped;
+
+        await fetchPool.run(pending, async (drive) => {
+            this.ensureSyncCanContinue();
+
+            let counts;
+            try {
+                counts = await this.googleDriveService.fetchDriveData(drive, options);
+            } catch (error) {
+                const errorMsg = `Error procesando unidad ${drive.name}: ${error.message}`;
+                UTILS.log('error', errorMsg, null, error);
+                this.recordSyncError(errorMsg, drive);
+                this.releaseDriveData(drive);
+                return;
+            }
+
+            try {
+                await writePool.execute(() => this.writeDriveToFirestore(drive, this.createChangeLog(drive, options)));
+
+                this.syncStats.folders_count += counts.folders_count;
+                this.syncStats.managers_count += counts.managers_count;
+                this.syncStats.permissions_count += counts.permissions_count;
+                this.syncStats.folder_permissions_count += counts.folder_permissions_count;
+                this.syncStats.restricted_folders_count += counts.restricted_folders_count;
+                this.syncStats.files_count += counts.files_count;
+                this.syncStats.total_bytes += counts.total_bytes;
+
+                // Checkpoint con lo realmente persistido
+                completed++;
+                await this.recordDriveProgress(drive, {
+                    drives_completed: completed,
+                    drives_count: drives.length,
+                    current_drive: `${completed}/${drives.length}`,
+                    current_drive_name: drive.name,
+                    folders_count: this.syncStats.folders_count,
+                    managers_count: this.syncStats.managers_count,
+                    permissions_count: this.syncStats.permissions_count,
+                    files_count: this.syncStats.files_count
+                });
+                UTILS.log('info', `Unidad sincronizada ${completed}/${drives.length}: ${drive.name}`);
+
+            } catch (error) {
+                if (error.code === FIRESTORE_RESOURCE_EXHAUSTED) {
+                    throttledWrites++;
                 }
+                const errorMsg = `Error sincronizando unidad ${drive.name} a Firestore: ${error.message}`;
+                UTILS.log('error', errorMsg, null, error);
+                this.recordSyncError(errorMsg, drive);
+            } finally {
+                this.releaseDriveData(drive);
             }
+        });
+
+        this.syncStats.drive_pool = fetchPool.getStats();
+        this.syncStats.firestore_pool = writePool.getStats();
+    }
 
-            UTILS.log('info', 'Sincronización a Firestore completada');
+    // Escribir en Firestore los datos leídos de una unidad; changeLog (opcional) recoge los cambios
+    // detectados respecto a lo guardado para sync_changes
+    async writeDriveToFirestore(drive, changeLog = null) {
+        UTILS.log('debug', `Sincronizando datos de unidad a Firestore: ${drive.name}`);
 
-        } catch (error) {
-            UTILS.log('error', 'Error al sincronizar a Firestore', null, error);
-            throw error;
+        // Sincronizar carpetas y managers en paralelo; sin carpetas leídas (unidad sin membresía) no se tocan
+        const [, managerChanges] = await Promise.all([
+            drive.folders ? this.firestoreService.syncFoldersForDrive(drive.id, drive.folders, { changes: changeLog }) : null,
+            this.firestoreService.syncManagersForDrive(drive.id, drive.name, drive.managers),
+            this.firestoreService.syncPermissionsForDrive(drive.id, drive.name, drive.permissions, { changes: changeLog })
+        ]);
+        this.recordManagerChanges(managerChanges);
+
+        // Una lectura completa trae todas las carpetas de la unidad: las que no llegaron ya no están en ella
+        if (drive.folders) {
+            this.syncStats.folders_removed += await this.firestoreService.deleteStaleFoldersForDrive(
+                drive.id,
+                drive.folders.map(folder => folder.id),
+                { changes: changeLog }
+            );
         }
+
+        if (drive.folderPermissions) {
+            await this.firestoreService.syncFolderPermissionsForDrive(drive.id, drive.folderPermissions);
+        }
+
+        // Inventario de archivos y totales de almacenamiento
+        if (drive.files) {
+            await this.firestoreService.syncFilesForDrive(drive.id, drive.files);
+            await this.firestoreService.updateDriveStorage(drive.id, drive.storage);
+        }
+
+        // Guardar el punto de partida para la siguiente sincronización incremental
+        if (drive.changesStartPageToken) {
+            await this.firestoreService.saveChangeToken(drive.id, drive.changesStartPageToken);
+        }
+
+        await this.saveChangeLog(changeLog, drive);
     }
 
-    // === SINCRONIZACIÓN INCREMENTAL ===
+    // === REGISTRO DE CAMBIOS ===
 
-    async performIncrementalSync(driveIds = []) {
-        if (this.isRunning) {
-            throw new Error('Ya hay una sincronización en progreso');
+    // Las unidades recién agregadas no registran cada carpeta y miembro como nuevos (basta el alta de la unidad)
+    createChangeLog(drive, options = {}) {
+        return options.newDriveIds && options.newDriveIds.has(drive.id) ? null : [];
+    }
+
+    async saveChangeLog(changeLog, drive = null) {
+        if (!changeLog || changeLog.length === 0) {
+            return;
         }
+        if (drive) {
+            changeLog.forEach(change => {
+                change.drive_name = change.drive_name || drive.name;
+            });
+        }
+        this.syncStats.sync_changes_count += await this.firestoreService.saveSyncChanges(this.currentSyncId, changeLog);
+    }
+
+    recordManagerChanges(managerChanges) {
+        this.syncStats.managers_added += managerChanges.added;
+        this.syncStats.managers_removed += managerChanges.removed;
+        this.syncStats.managers_role_changed += managerChanges.role_changed;
+    }
+
+    // Sumar a las estadísticas las unidades marcadas como eliminadas o restauradas y lo eliminado
+    // en cascada de unidades sin documento
+    recordRemovedDriveData(syncResult) {
+        this.syncStats.drives_removed += syncResult.deleted;
+        this.syncStats.drives_restored += syncResult.restored_ids.length;
+        if (syncResult.removed) {
+            this.syncStats.folders_removed += syncResult.removed.folders;
+            this.syncStats.managers_removed += syncResult.removed.managers;
+            this.syncStats.permissions_removed += syncResult.removed.permissions;
+            this.syncStats.files_removed += syncResult.removed.files;
+        }
+    }
+
+    // Liberar los datos pesados de una unidad ya procesada
+    releaseDriveData(drive) {
+        drive.folders = null;
+        drive.managers = null;
+        drive.permissions = null;
+        drive.folderPermissions = null;
+        drive.files = null;
+    }
+
+    // === SINCRONIZACIÓN INCREMENTAL ===
+
+    // Aplica solo los cambios registrados por la Changes API desde el último token de cada unidad.
+    // Las unidades sin token (nuevas o nunca sincronizadas) se leen completas una vez.
+    async performIncrementalSync(driveIds = [], options = {}) {
+        const syncId = uuidv4();
+        await this.acquireSyncLock(syncId, 'incremental');
+        return this.runIncrementalSync(syncId, driveIds, options);
+    }
+
+    // Ejecutar la sincronización incremental con el lease ya tomado para syncId
+    async runIncrementalSync(syncId, driveIds = [], options = {}) {
+        const driveOptions = {
+            includeFiles: options.includeFiles ?? SYNC.FILE_INVENTORY_ENABLED,
+            includeFolderPermissions: options.includeFolderPermissions ?? SYNC.FOLDER_PERMISSIONS_ENABLED
+        };
 
         this.isRunning = true;
-        this.currentSyncId = uuidv4();
+        this.currentSyncId = syncId;
         this.resetStats();
         this.syncStats.start_time = new Date();
 
         try {
-            UTILS.log('info', `Iniciando sincronización incremental - ID: ${this.currentSyncId}`);
+            UTILS.log('info', `Iniciando sincronización incremental - ID: ${this.currentSyncId} - Tenant: ${this.tenantId}`);
+            this.emitSyncEvent('phase', { phase: 'started', sync_type: 'incremental' });
             
-            await firestoreService.recordSyncStart(this.currentSyncId);
-            await firestoreService.updateSyncStatus('running', this.currentSyncId);
+            // Los tokens por unidad ya hacen reanudable la incremental; solo se cierran los registros huérfanos
+            await this.firestoreService.markInterruptedSyncs(this.currentSyncId);
+            await this.firestoreService.recordSyncStart(this.currentSyncId, 'incremental');
+            await this.firestoreService.updateSyncStatus('running', this.currentSyncId);
 
-            let drivesToSync = [];
-            
-            if (driveIds.length > 0) {
-                // Sincronizar unidades específicas
-                for (const driveId of driveIds) {
-                    try {
-                        const driveInfo = await googleDriveService.getDriveInfo(driveId);
-                        const [folders, managers] = await Promise.all([
-                            googleDriveService.getFoldersFromDrive(driveId, driveInfo.name),
-                            googleDriveService.getManagersFromDrive(driveId, driveInfo.name)
-                        ]);
-                        
-                        driveInfo.folders = folders;
-                        driveInfo.managers = managers;
-                        drivesToSync.push(driveInfo);
-                        
-                        this.syncStats.drives_count++;
-                        this.syncStats.folders_count += folders.length;
-                        this.syncStats.managers_count += managers.length;
-                        
-                    } catch (error) {
-                        const errorMsg = `Error obteniendo datos de unidad ${driveId}: ${error.message}`;
-                        UTILS.log('error', errorMsg, null, error);
-                        this.syncStats.errors.push(errorMsg);
+            this.googleDriveService.resetApiStats();
+
+            // Listar unidades es barato y permite detectar unidades nuevas, eliminadas o con metadatos cambiados
+            const allDrives = await this.googleDriveService.getAllSharedDrives();
+            const isPartial = driveIds.length > 0;
+            let drivesToSync = allDrives;
+
+            if (isPartial) {
+                drivesToSync = allDrives.filter(drive => driveIds.includes(drive.id));
+                const foundIds = new Set(drivesToSync.map(drive => drive.id));
+                driveIds.filter(driveId => !foundIds.has(driveId)).forEach(driveId => {
+                    const errorMsg = `Unidad ${driveId} no encontrada en Google Drive`;
+                    UTILS.log('warn', errorMsg);
+                    this.syncStats.errors.push(errorMsg);
+                });
+            }
+
+            this.syncStats.drives_count = drivesToSync.length;
+
+            // Metadatos de unidades; solo se eliminan unidades obsoletas si se revisaron todas
+            const driveChanges = [];
+            const syncResult = await this.firestoreService.syncSharedDrives(drivesToSync, {
+                deleteMissing: !isPartial,
+                changes: driveChanges,
+                syncId: this.currentSyncId
+            });
+            if (syncResult.deleted_ids.length > 0) {
+                await this.firestoreService.deleteChangeTokens(syncResult.deleted_ids);
+            }
+            this.recordRemovedDriveData(syncResult);
+            await this.saveChangeLog(driveChanges);
+            driveOptions.newDriveIds = new Set(syncResult.added_ids);
+
+            const tokens = await this.firestoreService.getChangeTokens();
+            const inventoryDriveIds = driveOptions.includeFiles
+                ? await this.firestoreService.getDriveIdsWithFileInventory()
+                : null;
+            this.emitSyncEvent('phase', { phase: 'syncing', drives_count: drivesToSync.length, drives_completed: 0 });
+
+            for (let i = 0; i < drivesToSync.length; i++) {
+                const drive = drivesToSync[i];
+                this.ensureSyncCanContinue();
+
+                try {
+                    UTILS.log('debug', `Sincronización incremental de unidad ${i + 1}/${drivesToSync.length}: ${drive.name}`);
+
+                    // Sin membresía la Changes API no está disponible; solo se refrescan sus permisos.
+                    // Con inventario de archivos activado, las unidades que aún no lo tienen se leen completas una vez
+                    const needsFileBackfill = inventoryDriveIds && !inventoryDriveIds.has(drive.id);
+                    if (tokens[drive.id] && drive.impersonated_user_is_member !== false && !needsFileBackfill) {
+                        await this.applyDriveChanges(drive, tokens[drive.id], driveOptions);
+                    } else {
+                        await this.syncDriveSnapshot(drive, driveOptions);
                     }
+
+                    await this.recordDriveProgress(drive, {
+                        drives_completed: i + 1,
+                        drives_count: drivesToSync.length,
+                        current_drive: `${i + 1}/${drivesToSync.length}`,
+                        current_drive_name: drive.name
+                    });
+
+                } catch (error) {
+                    const errorMsg = `Error en sincronización incremental de unidad ${drive.name}: ${error.message}`;
+                    UTILS.log('error', errorMsg, null, error);
+                    this.recordSyncError(errorMsg, drive);
                 }
-            } else {
-                // Sincronizar todas las unidades (igual que sync completo)
-                const driveData = await googleDriveService.performFullSync();
-                drivesToSync = driveData.drives;
-                this.syncStats = { ...this.syncStats, ...driveData.stats };
             }
 
-            // Sincronizar a Firestore
-            await this.syncToFirestore(drivesToSync);
+            Object.assign(this.syncStats, this.googleDriveService.getApiStats());
 
             // Completar
             this.syncStats.end_time = new Date();
@@ -237,14 +681,16 @@ class SyncService {
             this.syncStats.duration_minutes = Math.round(this.syncStats.duration_ms / 60000 * 100) / 100;
 
             const status = this.syncStats.errors.length > 0 ? 'completed_with_errors' : 'completed';
-            await firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
-            await firestoreService.updateSyncStatus(status);
+            await this.firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
+            await this.firestoreService.updateSyncStatus(status);
+            this.emitSyncEvent('finished', { status, stats: this.syncStats });
 
-            UTILS.log('info', `Sincronización incremental completada - Duración: ${this.syncStats.duration_minutes} minutos`);
+            UTILS.log('info', `Sincronización incremental completada - Duración: ${this.syncStats.duration_minutes} minutos, ${this.syncStats.changes_count} cambios aplicados`);
             
             return {
                 success: true,
                 sync_id: this.currentSyncId,
+                tenant: this.tenantId,
                 stats: this.syncStats,
                 status: status
             };
@@ -253,42 +699,242 @@ class SyncService {
             this.syncStats.end_time = new Date();
             this.syncStats.duration_ms = this.syncStats.end_time - this.syncStats.start_time;
             this.syncStats.duration_minutes = Math.round(this.syncStats.duration_ms / 60000 * 100) / 100;
-            this.syncStats.errors.push(`Error crítico: ${error.message}`);
+            // Solo la parada por cancelación termina como cancelled; cualquier otro error es un fallo
+            const status = error.sync_stop_reason === 'cancelled' ? SYNC_STATUS.CANCELLED : 'failed';
+            if (status === 'failed') {
+                this.syncStats.errors.push(`Error crítico: ${error.message}`);
+            }
 
-            await firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, 'failed');
-            await firestoreService.updateSyncStatus('failed');
+            await this.firestoreService.completeSyncRecord(this.currentSyncId, this.syncStats, status);
+            // Sin el lease, sync_status pertenece a la sincronización de la instancia que lo tomó
+            if (!this.lockLost) {
+                await this.firestoreService.updateSyncStatus(status);
+            }
+            this.emitSyncEvent('finished', { status, error: error.message, stats: this.syncStats });
 
-            UTILS.log('error', `Sincronización incremental falló - ID: ${this.currentSyncId}`, null, error);
+            if (status === SYNC_STATUS.CANCELLED) {
+                UTILS.log('warn', `Sincronización incremental cancelada - ID: ${this.currentSyncId}`);
+            } else {
+                UTILS.log('error', `Sincronización incremental falló - ID: ${this.currentSyncId}`, null, error);
+            }
             
             return {
                 success: false,
                 sync_id: this.currentSyncId,
+                tenant: this.tenantId,
                 stats: this.syncStats,
                 error: error.message,
-                status: 'failed'
+                status: status
             };
 
         } finally {
+            await this.releaseSyncLock(syncId);
             this.isRunning = false;
             this.currentSyncId = null;
         }
     }
 
+    // Lectura completa de una unidad sin token previo; deja guardado su token de cambios
+    async syncDriveSnapshot(drive, options = {}) {
+        try {
+            const counts = await this.googleDriveService.fetchDriveData(drive, options);
+            await this.writeDriveToFirestore(drive, this.createChangeLog(drive, options));
+
+            this.syncStats.folders_count += counts.folders_count;
+            this.syncStats.managers_count += counts.managers_count;
+            this.syncStats.permissions_count += counts.permissions_count;
+            this.syncStats.folder_permissions_count += counts.folder_permissions_count;
+            this.syncStats.restricted_folders_count += counts.restricted_folders_count;
+            this.syncStats.files_count += counts.files_count;
+            this.syncStats.total_bytes += counts.total_bytes;
+        } finally {
+            this.releaseDriveData(drive);
+        }
+    }
+
+    // Aplicar los cambios de una unidad desde su último token
+    async applyDriveChanges(drive, pageToken, options = {}) {
+        const { includeFiles = false, includeFolderPermissions = false } = options;
+        const { changes, newStartPageToken } = await this.googleDriveService.getChangesFromDrive(drive.id, drive.name, pageToken);
+
+        const changeLog = [];
+        const { folders, files, removedIds } = this.googleDriveService.classifyDriveChanges(drive.id, changes);
+        this.syncStats.changes_count += changes.length;
+
+        // changes.list no informa de forma fiable los cambios de membresía: los permisos se leen y se
+        // comparan con los guardados en cada ejecución (un permissions.list por unidad)
+        const permissions = await this.googleDriveService.getPermissionsFromDrive(drive.id, drive.name);
+        const managers = this.googleDriveService.extractManagers(permissions);
+        const [managerChanges] = await Promise.all([
+            this.firestoreService.syncManagersForDrive(drive.id, drive.name, managers),
+            this.firestoreService.syncPermissionsForDrive(drive.id, drive.name, permissions, { changes: changeLog })
+        ]);
+        this.recordManagerChanges(managerChanges);
+        this.syncStats.managers_count += managers.length;
+        this.syncStats.permissions_count += permissions.length;
+        const membersChanged = changeLog.length > 0;
+
+        // Un cambio de membresía puede cambiar qué carpetas difieren de la unidad aunque no cambien
+        let folderResult = null;
+        if (folders.length > 0 || removedIds.length > 0 || (membersChanged && includeFolderPermissions)) {
+            folderResult = await this.applyFolderChanges(drive.id, folders, removedIds, includeFolderPermissions, changeLog);
+            this.syncStats.folders_count += folderResult.folders_written;
+            this.syncStats.folders_removed += folderResult.folders_deleted;
+            this.syncStats.restricted_folders_count += folderResult.restricted_folders_count;
+        }
+
+        // Mover una carpeta también cambia los totales de sus carpetas de origen y destino
+        if (includeFiles && (files.length > 0 || removedIds.length > 0 || folders.length > 0)) {
+            await this.firestoreService.syncFilesForDrive(drive.id, files, { deleteMissing: false });
+            await this.firestoreService.deleteFiles(removedIds);
+            this.syncStats.files_count += files.length;
+            await this.refreshDriveStorage(drive.id, folderResult);
+        }
+
+        if (newStartPageToken !== pageToken) {
+            await this.firestoreService.saveChangeToken(drive.id, newStartPageToken);
+        }
+
+        await this.saveChangeLog(changeLog, drive);
+    }
+
+    // Recalcular los totales de almacenamiento de una unidad desde el inventario guardado en files.
+    // Los archivos que quedaron bajo carpetas eliminadas (y sus descendientes) se eliminan también,
+    // porque la Changes API no siempre informa de cada archivo al eliminar la carpeta que los contiene
+    async refreshDriveStorage(driveId, folderResult = null) {
+        const folders = folderResult ? folderResult.folders : await this.firestoreService.getFoldersForDrive(driveId);
+        const deletedFolderIds = new Set(folderResult ? folderResult.deleted_ids : []);
+        const storedFiles = await this.firestoreService.getFilesForDrive(driveId);
+
+        const orphanIds = storedFiles
+            .filter(file => deletedFolderIds.has(file.parents[0]))
+            .map(file => file.id);
+        if (orphanIds.length > 0) {
+            await this.firestoreService.deleteFiles(orphanIds);
+            UTILS.log('info', `Unidad ${driveId}: ${orphanIds.length} archivos eliminados junto con sus carpetas`);
+        }
+
+        const orphanSet = new Set(orphanIds);
+        const totals = this.googleDriveService.calculateStorageTotals(
+            storedFiles.filter(file => !orphanSet.has(file.id)),
+            folders
+        );
+
+        await this.firestoreService.updateDriveStorage(driveId, totals.drive);
+        await this.firestoreService.updateFolderStorage(driveId, totals.folders);
+    }
+
+    // Combinar carpetas cambiadas o eliminadas con las guardadas y escribir solo lo que cambia;
+    // lo usan la sincronización incremental y las operaciones de carpetas de la API
+    // changeLog (opcional) recoge carpetas nuevas, renombradas, movidas y eliminadas para sync_changes
+    async applyFolderChanges(driveId, changedFolders, removedIds, includeFolderPermissions = false, changeLog = null) {
+        const storedFolders = await this.firestoreService.getFoldersForDrive(driveId);
+        const storedById = new Map(storedFolders.map(folder => [folder.id, folder]));
+        const merged = new Map(storedById);
+
+        changedFolders.forEach(folder => merged.set(folder.id, folder));
+
+        // Al eliminar una carpeta también desaparecen sus descendientes del espejo
+        const toDelete = new Set(removedIds.filter(folderId => merged.has(folderId)));
+        let added = true;
+        while (added) {
+            added = false;
+            merged.forEach(folder => {
+                const parentId = folder.parents && folder.parents[0];
+                if (!toDelete.has(folder.id) && toDelete.has(parentId)) {
+                    toDelete.add(folder.id);
+                    added = true;
+                }
+            });
+        }
+        toDelete.forEach(folderId => merged.delete(folderId));
+
+        // Recalcular rutas; un renombrado o movimiento cambia la ruta de todos los descendientes
+        const withPaths = this.googleDriveService.calculateFolderPaths(Array.from(merged.values()), driveId);
+        const changedIds = new Set(changedFolders.map(folder => folder.id));
+
+        // Recalcular el acceso de todo el árbol: combina permisos guardados con los de las carpetas cambiadas
+        let changedFolderPermissions = null;
+        let restrictedFoldersCount = 0;
+        if (includeFolderPermissions) {
+            const [drivePermissions, folderPermissions, fetchedPermissions] = await Promise.all([
+                this.firestoreService.getPermissionsForDrive(driveId),
+                this.firestoreService.getFolderPermissionsForDrive(driveId),
+                this.googleDriveService.getPermissionsForFolders(changedFolders)
+            ]);
+
+            changedFolderPermissions = new Map();
+            changedIds.forEach(folderId => {
+                const permissions = fetchedPermissions.get(folderId) || [];
+                folderPermissions.set(folderId, permissions);
+                changedFolderPermissions.set(folderId, permissions);
+            });
+            toDelete.forEach(folderId => folderPermissions.delete(folderId));
+
+            restrictedFoldersCount = this.googleDriveService.analyzeFolderAccess(withPaths, drivePermissions, folderPermissions);
+        }
+
+        const foldersToWrite = withPaths.filter(folder => {
+            const stored = storedById.get(folder.id);
+            return changedIds.has(folder.id) || !stored || stored.full_path !== folder.full_path ||
+                (folder.access && (stored.access_scope !== folder.access.access_scope ||
+                    stored.access_inherited_from !== folder.access.access_inherited_from));
+        });
+
+        const storedDeletes = Array.from(toDelete).filter(folderId => storedById.has(folderId));
+
+        if (foldersToWrite.length > 0) {
+            await this.firestoreService.syncFoldersForDrive(driveId, foldersToWrite, { changes: changeLog });
+        }
+        if (storedDeletes.length > 0) {
+            await this.firestoreService.deleteFolders(storedDeletes);
+
+            if (changeLog) {
+                storedDeletes.forEach(folderId => {
+                    const stored = storedById.get(folderId);
+                    changeLog.push(this.firestoreService.buildChangeEntry('folder', 'removed', {
+                        drive_id: driveId, entity_id: folderId, name: stored.name,
+                        before: { name: stored.name, full_path: stored.full_path || null }
+                    }));
+                });
+            }
+        }
+        if (changedFolderPermissions) {
+            await this.firestoreService.syncFolderPermissionsForDrive(driveId, changedFolderPermissions, {
+                folderIds: [...changedIds, ...storedDeletes]
+            });
+        }
+
+        UTILS.log('info', `Unidad ${driveId}: ${foldersToWrite.length} carpetas actualizadas, ${storedDeletes.length} eliminadas`);
+
+        return {
+            folders_written: foldersToWrite.length,
+            folders_deleted: storedDeletes.length,
+            restricted_folders_count: restrictedFoldersCount,
+            deleted_ids: Array.from(toDelete),
+            folders: withPaths
+        };
+    }
+
     // === ESTADO Y ESTADÍSTICAS ===
 
     async getSyncStatus() {
         try {
-            const [firestoreStatus, dbStats] = await Promise.all([
-                firestoreService.getSyncStatus(),
-                firestoreService.getDatabaseStats()
+            const [firestoreStatus, dbStats, lock] = await Promise.all([
+                this.firestoreService.getSyncStatus(),
+                this.firestoreService.getDatabaseStats(),
+                this.firestoreService.getSyncLock()
             ]);
 
             return {
+                tenant: this.tenantId,
                 current_sync: {
                     is_running: this.isRunning,
                     sync_id: this.currentSyncId,
-                    start_time: this.syncStats.start_time
+                    start_time: this.syncStats.start_time,
+                    cancel_requested: this.isRunning && this.cancelRequested
                 },
+                lock: lock,
                 firestore_status: firestoreStatus,
                 database_stats: dbStats,
                 sync_config: {
@@ -308,19 +954,376 @@ class SyncService {
         }
     }
 
+    // === GESTIÓN DE MIEMBROS ===
+
+    // Miembros actuales de la unidad leídos de Drive
+    async listDriveMembers(driveId) {
+        return this.googleDriveService.getPermissionsFromDrive(driveId, driveId);
+    }
+
+    // Cada miembro se procesa por separado; un fallo no impide procesar los demás
+    async addDriveMembers(driveId, members) {
+        const results = [];
+
+        for (const member of members) {
+            const email = member.email;
+            const role = member.role;
+            const type = member.type || 'user';
+            const validationError = this.validateMember({ email, role, type });
+
+            if (validationError) {
+                results.push({ email, success: false, error: validationError });
+                continue;
+            }
+
+            try {
+                const permission = await this.googleDriveService.addMemberToSharedDrive(driveId, {
+                    email,
+                    role,
+                    type,
+                    sendNotificationEmail: member.sendNotificationEmail === true
+                });
+                await this.firestoreService.saveDriveMember(driveId, permission);
+                results.push({ email, success: true, permission_id: permission.id, role: permission.role, type: permission.type });
+            } catch (error) {
+                results.push({ email, success: false, error: error.message });
+            }
+        }
+
+        return this.summarizeMemberResults(driveId, 'add', results);
+    }
+
+    async updateDriveMemberRoles(driveId, members) {
+        const results = [];
+        const permissionIds = await this.resolveMemberPermissionIds(driveId, members);
+
+        for (let i = 0; i < members.length; i++) {
+            const member = members[i];
+            const permissionId = permissionIds[i];
+            const label = { email: member.email || null, permission_id: permissionId };
+
+            if (!permissionId) {
+                results.push({ ...label, success: false, error: 'Miembro no encontrado en la unidad' });
+                continue;
+            }
+            if (!GOOGLE_DRIVE_API.MEMBER_ROLES.includes(member.role)) {
+                results.push({ ...label, success: false, error: `Rol inválido: ${member.role}` });
+                continue;
+            }
+
+            try {
+                const permission = await this.googleDriveService.updateMemberRole(driveId, permissionId, member.role);
+                await this.firestoreService.saveDriveMember(driveId, permission);
+                results.push({ ...label, email: permission.emailAddress || label.email, success: true, role: permission.role });
+            } catch (error) {
+                results.push({ ...label, success: false, error: error.message });
+            }
+        }
+
+        return this.summarizeMemberResults(driveId, 'update_role', results);
+    }
+
+    async removeDriveMembers(driveId, members) {
+        const results = [];
+        const permissionIds = await this.resolveMemberPermissionIds(driveId, members);
+
+        for (let i = 0; i < members.length; i++) {
+            const permissionId = permissionIds[i];
+            const label = { email: members[i].email || null, permission_id: permissionId };
+
+            if (!permissionId) {
+                results.push({ ...label, success: false, error: 'Miembro no encontrado en la unidad' });
+                continue;
+            }
+
+            try {
+                await this.googleDriveService.removeMemberFromSharedDrive(driveId, permissionId);
+                await this.firestoreService.removeDriveMember(driveId, permissionId);
+                results.push({ ...label, success: true });
+            } catch (error) {
+                results.push({ ...label, success: false, error: error.message });
+            }
+        }
+
+        return this.summarizeMemberResults(driveId, 'remove', results);
+    }
+
+    validateMember(member) {
+        if (!member.email || !UTILS.isValidEmail(member.email)) {
+            return `Email inválido: ${member.email}`;
+        }
+        if (!GOOGLE_DRIVE_API.MEMBER_ROLES.includes(member.role)) {
+            return `Rol inválido: ${member.role}`;
+        }
+        if (!GOOGLE_DRIVE_API.MEMBER_TYPES.includes(member.type)) {
+            return `Tipo inválido: ${member.type}`;
+        }
+        return null;
+    }
+
+    // Los miembros se identifican por permissionId o por email; los emails se buscan en los permisos actuales
+    async resolveMemberPermissionIds(driveId, members) {
+        const needsLookup = members.some(member => !member.permissionId);
+        const permissionsByEmail = new Map();
+
+        if (needsLookup) {
+            const permissions = await this.googleDriveService.getPermissionsFromDrive(driveId, driveId);
+            permissions
+                .filter(permission => permission.emailAddress)
+                .forEach(permission => permissionsByEmail.set(permission.emailAddress.toLowerCase(), permission.id));
+        }
+
+        return members.map(member => member.permissionId
+            || (member.email && permissionsByEmail.get(member.email.toLowerCase()))
+            || null);
+    }
+
+    summarizeMemberResults(driveId, action, results) {
+        const succeeded = results.filter(result => result.success).length;
+        UTILS.log('info', `Miembros de la unidad ${driveId} (${action}): ${succeeded}/${results.length} correctos`);
+
+        return {
+            drive_id: driveId,
+            action: action,
+            total: results.length,
+            succeeded: succeeded,
+            failed: results.length - succeeded,
+            results: results
+        };
+    }
+
+    // === GESTIÓN DE CARPETAS ===
+
+    // Crear una carpeta por { name, parentId } o por ruta completa { path: '/Admin/Docs/Nueva' };
+    // con path se reutilizan las carpetas existentes y se crean las que falten
+    async createFolder(driveId, options = {}) {
+        const { name, parentId, path } = options;
+        const storedFolders = await this.firestoreService.getFoldersForDrive(driveId);
+
+        let segments;
+        let currentParentId = driveId;
+        let currentPath = '';
+
+        if (path !== undefined) {
+            segments = String(path).split('/').map(segment => segment.trim()).filter(segment => segment);
+            if (segments.length === 0) {
+                throw createRequestError('La ruta de la carpeta está vacía', 400);
+            }
+        } else {
+            if (!name || typeof name !== 'string' || name.trim() === '') {
+                throw createRequestError('El nombre de la carpeta es requerido', 400);
+            }
+            segments = [name.trim()];
+
+            if (parentId && parentId !== driveId) {
+                const parent = storedFolders.find(folder => folder.id === parentId);
+                if (!parent) {
+                    throw createRequestError(`Carpeta padre no encontrada en la unidad: ${parentId}`, 404);
+                }
+                currentParentId = parent.id;
+                currentPath = parent.full_path;
+            }
+        }
+
+        const created = [];
+        let folder = null;
+
+        for (const segment of segments) {
+            currentPath = `${currentPath}/${segment}`;
+            const existing = path !== undefined
+                ? storedFolders.find(stored => stored.full_path === currentPath)
+                : null;
+
+            if (existing) {
+                folder = existing;
+            } else {
+                folder = await this.googleDriveService.createFolder(segment, currentParentId);
+                created.push(folder);
+            }
+            currentParentId = folder.id;
+        }
+
+        let written = 0;
+        if (created.length > 0) {
+            const result = await this.applyFolderChanges(driveId, created, [], SYNC.FOLDER_PERMISSIONS_ENABLED);
+            folder = result.folders.find(item => item.id === folder.id) || folder;
+            written = result.folders_written;
+        }
+
+        return {
+            drive_id: driveId,
+            folder: this.describeFolder(folder),
+            created: created.map(item => ({ id: item.id, name: item.name })),
+            folders_updated: written
+        };
+    }
+
+    // Renombrar y/o mover una carpeta; parentId puede ser otra carpeta o la raíz de una unidad (driveId)
+    async updateFolder(folderId, changes = {}) {
+        const { name, parentId, driveId: targetDriveId } = changes;
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            throw createRequestError('El nombre de la carpeta no puede estar vacío', 400);
+        }
+        if (name === undefined && parentId === undefined && targetDriveId === undefined) {
+            throw createRequestError('No se indicó ningún cambio (name, parentId o driveId)', 400);
+        }
+
+        let folder = await this.googleDriveService.getFolder(folderId);
+        if (folder.mimeType !== GOOGLE_DRIVE_API.FOLDER_MIME_TYPE) {
+            throw createRequestError(`${folderId} no es una carpeta`, 400);
+        }
+        if (!folder.driveId) {
+            throw createRequestError(`La carpeta ${folderId} no pertenece a una unidad compartida`, 400);
+        }
+        if (folder.trashed) {
+            throw createRequestError(`La carpeta ${folderId} está en la papelera`, 409);
+        }
+
+        const sourceDriveId = folder.driveId;
+        let destinationDriveId = sourceDriveId;
+        let newParentId = null;
+
+        // Resolver destino antes de modificar nada
+        if (parentId !== undefined || targetDriveId !== undefined) {
+            newParentId = parentId || targetDriveId;
+            destinationDriveId = targetDriveId || sourceDriveId;
+
+            if (parentId && parentId !== targetDriveId) {
+                const parent = await this.googleDriveService.getFolder(parentId);
+                destinationDriveId = parent.driveId;
+            }
+            if (!destinationDriveId) {
+                throw createRequestError('El destino no pertenece a una unidad compartida', 400);
+            }
+
+            // No se puede mover una carpeta dentro de sí misma ni de sus descendientes
+            if (newParentId === folderId) {
+                throw createRequestError('No se puede mover una carpeta dentro de sí misma', 400);
+            }
+            if (destinationDriveId === sourceDriveId) {
+                const storedFolders = await this.firestoreService.getFoldersForDrive(sourceDriveId);
+                if (this.collectDescendants(storedFolders, folderId).some(item => item.id === newParentId)) {
+                    throw createRequestError('No se puede mover una carpeta dentro de una de sus subcarpetas', 400);
+                }
+            }
+        }
+
+        if (name !== undefined && name.trim() !== folder.name) {
+            folder = await this.googleDriveService.renameFolder(folderId, name.trim());
+        }
+
+        const currentParents = folder.parents || [];
+        if (newParentId && !currentParents.includes(newParentId)) {
+            folder = await this.googleDriveService.moveFolder(folderId, newParentId, currentParents);
+        }
+
+        const includeFolderPermissions = SYNC.FOLDER_PERMISSIONS_ENABLED;
+        let result;
+
+        if (destinationDriveId === sourceDriveId) {
+            result = await this.applyFolderChanges(sourceDriveId, [folder], [], includeFolderPermissions);
+        } else {
+            // Entre unidades: el subárbol sale del espejo de origen y entra completo en el de destino
+            const storedFolders = await this.firestoreService.getFoldersForDrive(sourceDriveId);
+            const descendants = this.collectDescendants(storedFolders, folderId);
+
+            await this.applyFolderChanges(sourceDriveId, [], [folderId], includeFolderPermissions);
+            result = await this.applyFolderChanges(destinationDriveId, [folder, ...descendants], [], includeFolderPermissions);
+            await this.moveFileInventory(sourceDriveId, destinationDriveId, [folderId, ...descendants.map(item => item.id)], result);
+        }
+
+        return {
+            folder: this.describeFolder(result.folders.find(item => item.id === folderId) || folder),
+            previous_drive_id: sourceDriveId,
+            drive_id: destinationDriveId,
+            folders_updated: result.folders_written
+        };
+    }
+
+    // Llevar al inventario de destino los archivos de un subárbol movido entre unidades y recalcular los
+    // totales de ambas. Si el destino no tiene inventario los archivos solo se quitan del origen; si el origen
+    // no lo tenía, el inventario de destino se vuelve a leer de Drive
+    async moveFileInventory(sourceDriveId, destinationDriveId, movedFolderIds, destinationResult) {
+        const inventoryDriveIds = await this.firestoreService.getDriveIdsWithFileInventory();
+        const sourceHasInventory = inventoryDriveIds.has(sourceDriveId);
+        const destinationHasInventory = inventoryDriveIds.has(destinationDriveId);
+        if (!sourceHasInventory && !destinationHasInventory) {
+            return;
+        }
+
+        const folderIds = new Set(movedFolderIds);
+        const movedFileIds = sourceHasInventory
+            ? (await this.firestoreService.getFilesForDrive(sourceDriveId))
+                .filter(file => folderIds.has(file.parents[0]))
+                .map(file => file.id)
+            : [];
+
+        if (!destinationHasInventory) {
+            await this.firestoreService.deleteFiles(movedFileIds);
+        } else if (sourceHasInventory) {
+            await this.firestoreService.moveFilesToDrive(movedFileIds, destinationDriveId);
+        } else {
+            const files = await this.googleDriveService.getFilesFromDrive(destinationDriveId, destinationDriveId);
+            await this.firestoreService.syncFilesForDrive(destinationDriveId, files);
+        }
+
+        if (sourceHasInventory) {
+            await this.refreshDriveStorage(sourceDriveId);
+        }
+        if (destinationHasInventory) {
+            await this.refreshDriveStorage(destinationDriveId, destinationResult);
+        }
+        UTILS.log('info', `Carpeta movida de ${sourceDriveId} a ${destinationDriveId}: ${movedFileIds.length} archivos en el inventario`);
+    }
+
+    collectDescendants(folders, folderId) {
+        const descendants = [];
+        const pending = [folderId];
+
+        while (pending.length > 0) {
+            const parentId = pending.shift();
+            folders
+                .filter(folder => folder.parents && folder.parents[0] === parentId && folder.id !== folderId)
+                .forEach(folder => {
+                    if (!descendants.includes(folder)) {
+                        descendants.push(folder);
+                        pending.push(folder.id);
+                    }
+                });
+        }
+
+        return descendants;
+    }
+
+    describeFolder(folder) {
+        return {
+            id: folder.id,
+            name: folder.name,
+            parent_id: folder.parents ? folder.parents[0] : null,
+            full_path: folder.full_path || null
+        };
+    }
+
     // === MANTENIMIENTO ===
 
     async performMaintenance() {
         try {
             UTILS.log('info', 'Iniciando mantenimiento de la base de datos');
             
-            const cleanedRecords = await firestoreService.cleanupSyncHistory(50);
+            const cleanedRecords = await this.firestoreService.cleanupSyncHistory(50);
+            const cleanedChanges = await this.firestoreService.cleanupSyncChanges(SYNC.CHANGES_RETENTION_DAYS);
+            const purgedDrives = await this.firestoreService.purgeDeletedSharedDrives(SYNC.DELETED_RETENTION_DAYS);
+            const orphanedData = await this.firestoreService.deleteOrphanedDriveData();
             
-            UTILS.log('info', `Mantenimiento completado - ${cleanedRecords} registros antiguos eliminados`);
+            UTILS.log('info', `Mantenimiento completado - ${cleanedRecords} registros antiguos eliminados, ${cleanedChanges} cambios y ${purgedDrives} unidades eliminadas purgados`);
             
             return {
                 success: true,
-                cleaned_records: cleanedRecords
+                cleaned_records: cleanedRecords,
+                cleaned_changes: cleanedChanges,
+                purged_drives: purgedDrives,
+                orphaned_data_removed: orphanedData
             };
         } catch (error) {
             UTILS.log('error', 'Error durante el mantenimiento', null, error);
@@ -338,6 +1341,30 @@ class SyncService {
             drives_count: 0,
             folders_count: 0,
             managers_count: 0,
+            permissions_count: 0,
+            folder_permissions_count: 0,
+            restricted_folders_count: 0,
+            changes_count: 0,
+            files_count: 0,
+            total_bytes: 0,
+            drives_removed: 0,
+            drives_restored: 0,
+            drives_skipped: 0,
+            resumed_from: null,
+            folders_removed: 0,
+            managers_added: 0,
+            managers_removed: 0,
+            managers_role_changed: 0,
+            permissions_removed: 0,
+            files_removed: 0,
+            sync_changes_count: 0,
+            folder_list_calls: 0,
+            api_calls_saved: 0,
+            api_calls: 0,
+            api_retries: 0,
+            rate_limit_errors: 0,
+            drive_pool: null,
+            firestore_pool: null,
             errors: [],
             start_time: null,
             end_time: null,
@@ -351,12 +1378,13 @@ class SyncService {
     async healthCheck() {
         try {
             const [driveTest, firestoreStats] = await Promise.all([
-                googleDriveService.testConnection(),
-                firestoreService.getDatabaseStats()
+                this.googleDriveService.testConnection(),
+                this.firestoreService.getDatabaseStats()
             ]);
 
             return {
                 success: true,
+                tenant: this.tenantId,
                 google_drive: driveTest,
                 firestore: {
                     connected: true,
@@ -0,0 +1,215 @@
+const firestoreService = require('./firestoreService');
+const { GOOGLE_DRIVE_API, TENANTS, UTILS } = require('./config');
+const { v4: uuidv4 } = require('uuid');
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const MAX_FOLDER_DEPTH = 20;
+
+// Plantillas de unidades compartidas guardadas en drive_templates:
+// { id, name, description, folders: [{ name, children }], members: [{ email, role, type }], restrictions, colorRgb | themeId }
+class TemplateService {
+    constructor(options = {}) {
+        this.tenantId = options.tenantId || TENANTS.DEFAULT_ID;
+        this.firestoreService = options.firestoreService || firestoreService;
+    }
+
+    forTenant(tenantId, services) {
+        return new TemplateService({
+            tenantId: tenantId,
+            firestoreService: services.firestoreService
+        });
+    }
+
+    // === VALIDACIÓN ===
+
+    // Devuelve { template, errors }; template queda normalizado solo si no hay errores
+    validateTemplate(input) {
+        const errors = [];
+        const data = input || {};
+
+        const id = data.id !== undefined ? String(data.id).trim() : uuidv4();
+        if (!TEMPLATE_ID_PATTERN.test(id)) {
+            errors.push(`ID de plantilla inválido: ${data.id}`);
+        }
+        if (!data.name || typeof data.name !== 'string' || data.name.trim() === '') {
+            errors.push('El nombre de la plantilla es requerido');
+        }
+
+        const folders = this.normalizeFolderTree(data.folders || [], errors);
+
+        const members = (Array.isArray(data.members) ? data.members : []).map(member => ({
+            email: member && member.email,
+            role: member && member.role,
+            type: (member && member.type) || 'user'
+        }));
+        members.forEach(member => {
+            if (!member.email || !UTILS.isValidEmail(member.email)) {
+                errors.push(`Email de miembro inválido: ${member.email}`);
+            } else if (!GOOGLE_DRIVE_API.MEMBER_ROLES.includes(member.role)) {
+                errors.push(`Rol inválido para ${member.email}: ${member.role}`);
+            } else if (!GOOGLE_DRIVE_API.MEMBER_TYPES.includes(member.type)) {
+                errors.push(`Tipo inválido para ${member.email}: ${member.type}`);
+            }
+        });
+
+        const restrictions = data.restrictions || null;
+        if (restrictions) {
+            Object.keys(restrictions)
+                .filter(key => !GOOGLE_DRIVE_API.RESTRICTION_KEYS.includes(key) || typeof restrictions[key] !== 'boolean')
+                .forEach(key => errors.push(`Restricción inválida: ${key}`));
+        }
+
+        if (data.colorRgb && !/^#[0-9a-fA-F]{6}$/.test(data.colorRgb)) {
+            errors.push('colorRgb debe tener el formato #RRGGBB');
+        }
+        if (data.colorRgb && data.themeId) {
+            errors.push('No se puede indicar themeId y colorRgb a la vez');
+        }
+
+        if (errors.length > 0) {
+            return { template: null, errors };
+        }
+
+        return {
+            template: {
+                id: id,
+                name: data.name.trim(),
+                description: data.description || '',
+                folders: folders,
+                members: members,
+                restrictions: restrictions,
+                colorRgb: data.colorRgb || null,
+                themeId: data.themeId || null,
+                source_drive_id: data.source_drive_id || null
+            },
+            errors: []
+        };
+    }
+
+    normalizeFolderTree(nodes, errors, depth = 1) {
+        if (!Array.isArray(nodes)) {
+            errors.push('folders debe ser un arreglo de { name, children }');
+            return [];
+        }
+        if (depth > MAX_FOLDER_DEPTH) {
+            errors.push(`El árbol de carpetas supera ${MAX_FOLDER_DEPTH} niveles`);
+            return [];
+        }
+
+        return nodes.map(node => {
+            const name = node && typeof node.name === 'string' ? node.name.trim() : '';
+            if (!name) {
+                errors.push('Todas las carpetas deben tener nombre');
+            }
+            return {
+                name: name,
+                children: this.normalizeFolderTree((node && node.children) || [], errors, depth + 1)
+            };
+        });
+    }
+
+    // === CRUD ===
+
+    async saveTemplate(input) {
+        const { template, errors } = this.validateTemplate(input);
+        if (errors.length > 0) {
+            return { template: null, errors };
+        }
+
+        return { template: await this.firestoreService.saveDriveTemplate(template), errors: [] };
+    }
+
+    async getTemplate(templateId) {
+        return this.firestoreService.getDriveTemplate(templateId);
+    }
+
+    async getTemplates() {
+        return this.firestoreService.getDriveTemplates();
+    }
+
+    async deleteTemplate(templateId) {
+        return this.firestoreService.deleteDriveTemplate(templateId);
+    }
+
+    // === CAPTURA DESDE UNA UNIDAD ===
+
+    // Construir una plantilla con el árbol de carpetas guardado en Firestore de una unidad;
+    // opcionalmente incluye sus miembros (usuarios y grupos), restricciones y color
+    async captureFromDrive(driveId, options = {}) {
+        try {
+            const drive = await this.firestoreService.getSharedDrive(driveId);
+            if (!drive) {
+                return { template: null, errors: [`Unidad no encontrada en Firestore: ${driveId}`] };
+            }
+
+            const folders = await this.firestoreService.getFoldersForDrive(driveId);
+
+            let members = [];
+            if (options.includeMembers) {
+                const permissions = await this.firestoreService.getPermissionsForDrive(driveId);
+                members = permissions
+                    .filter(permission => GOOGLE_DRIVE_API.MEMBER_TYPES.includes(permission.type) && permission.emailAddress)
+                    .map(permission => ({ email: permission.emailAddress, role: permission.role, type: permission.type }));
+            }
+
+            UTILS.log('info', `Capturando plantilla desde unidad ${drive.name}: ${folders.length} carpetas, ${members.length} miembros`);
+
+            return this.saveTemplate({
+                id: options.templateId,
+                name: options.name || drive.name,
+                description: options.description || `Capturada de la unidad ${drive.name}`,
+                folders: this.buildFolderTree(folders, driveId),
+                members: members,
+                restrictions: options.includeRestrictions === false ? null : this.pickRestrictions(drive.restrictions),
+                colorRgb: drive.colorRgb || null,
+                source_drive_id: driveId
+            });
+        } catch (error) {
+            UTILS.log('error', `Error al capturar plantilla desde la unidad ${driveId}`, null, error);
+            throw error;
+        }
+    }
+
+    // Convertir la lista plana de carpetas (con parents) en un árbol ordenado por nombre
+    buildFolderTree(folders, driveId) {
+        const folderIds = new Set(folders.map(folder => folder.id));
+        const childrenByParent = new Map();
+
+        folders.forEach(folder => {
+            const parentId = folder.parents && folder.parents[0];
+            const key = parentId && parentId !== driveId && folderIds.has(parentId) ? parentId : driveId;
+            if (!childrenByParent.has(key)) {
+                childrenByParent.set(key, []);
+            }
+            childrenByParent.get(key).push(folder);
+        });
+
+        const build = (parentId, visited) => (childrenByParent.get(parentId) || [])
+            .filter(folder => !visited.has(folder.id))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(folder => ({
+                name: folder.name,
+                children: build(folder.id, new Set([...visited, folder.id]))
+            }));
+
+        return build(driveId, new Set());
+    }
+
+    pickRestrictions(restrictions) {
+        if (!restrictions) {
+            return null;
+        }
+
+        const picked = {};
+        GOOGLE_DRIVE_API.RESTRICTION_KEYS
+            .filter(key => typeof restrictions[key] === 'boolean')
+            .forEach(key => {
+                picked[key] = restrictions[key];
+            });
+        return Object.keys(picked).length > 0 ? picked : null;
+    }
+}
+
+const templateService = new TemplateService();
+
+module.exports = templateService;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const googleDriveService = require('./googleDriveService');
+const firestoreService = require('./firestoreService');
+const syncService = require('./syncService');
+const provisioningService = require('./provisioningService');
+const templateService = require('./templateService');
+const { TENANTS, UTILS } = require('./config');
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Registro de tenants (dominios de Google Workspace). Cada tenant tiene sus propias credenciales,
+// usuario impersonado, datos en Firestore y estado de sincronización.
+class TenantManager {
+    constructor() {
+        this.tenants = new Map();
+        this.initialized = false;
+    }
+
+    // === CARGA DE DEFINICIONES ===
+
+    // Formato del archivo: [{ "id", "name", "impersonate_user_email", "credentials_file", "domain_admin_access" }]
+    loadTenantDefinitions() {
+        if (!fs.existsSync(TENANTS.CONFIG_FILE)) {
+            UTILS.log('info', `Sin archivo de tenants (${TENANTS.CONFIG_FILE}), solo se usa el tenant por defecto`);
+            return [];
+        }
+
+        const definitions = JSON.parse(fs.readFileSync(TENANTS.CONFIG_FILE, 'utf8'));
+        if (!Array.isArray(definitions)) {
+            throw new Error(`El archivo de tenants debe contener un arreglo: ${TENANTS.CONFIG_FILE}`);
+        }
+
+        const seenIds = new Set();
+        definitions.forEach(definition => {
+            if (!definition.id || !TENANT_ID_PATTERN.test(definition.id)) {
+                throw new Error(`ID de tenant inválido: ${definition.id}`);
+            }
+            if (definition.id === TENANTS.DEFAULT_ID || seenIds.has(definition.id)) {
+                throw new Error(`ID de tenant duplicado o reservado: ${definition.id}`);
+            }
+            if (!definition.impersonate_user_email) {
+                throw new Error(`Tenant ${definition.id} sin impersonate_user_email`);
+            }
+            seenIds.add(definition.id);
+        });
+
+        return definitions;
+    }
+
+    // === INICIALIZACIÓN ===
+
+    async initialize() {
+        try {
+            UTILS.log('info', 'Inicializando tenants');
+
+            // Tenant por defecto: variables de entorno y colecciones raíz
+            await syncService.initialize();
+            this.tenants.set(TENANTS.DEFAULT_ID, {
+                id: TENANTS.DEFAULT_ID,
+                name: 'Por defecto',
+                impersonate_user_email: googleDriveService.impersonateEmail,
+                googleDriveService: googleDriveService,
+                firestoreService: firestoreService,
+                syncService: syncService,
+                provisioningService: provisioningService,
+                templateService: templateService,
+                error: null
+            });
+
+            // Un tenant que no inicializa no impide atender a los demás
+            for (const definition of this.loadTenantDefinitions()) {
+                const services = {
+                    googleDriveService: googleDriveService.forTenant(definition),
+                    firestoreService: firestoreService.forTenant(definition.id)
+                };
+                const tenant = {
+                    id: definition.id,
+                    name: definition.name || definition.id,
+                    impersonate_user_email: definition.impersonate_user_email,
+                    ...services,
+                    syncService: syncService.forTenant(definition.id, services),
+                    provisioningService: provisioningService.forTenant(definition.id, services),
+                    templateService: templateService.forTenant(definition.id, services),
+                    error: null
+                };
+
+                try {
+                    await tenant.syncService.initialize();
+                } catch (error) {
+                    UTILS.log('error', `Error al inicializar tenant ${definition.id}`, null, error);
+                    tenant.error = error.message;
+                }
+
+                this.tenants.set(tenant.id, tenant);
+            }
+
+            this.initialized = true;
+            UTILS.log('info', `Tenants inicializados: ${Array.from(this.tenants.keys()).join(', ')}`);
+        } catch (error) {
+            UTILS.log('error', 'Error al inicializar tenants', null, error);
+            throw error;
+        }
+    }
+
+    // === CONSULTA ===
+
+    // Devuelve null si el tenant no existe
+    getTenant(tenantId = TENANTS.DEFAULT_ID) {
+        return this.tenants.get(tenantId || TENANTS.DEFAULT_ID) || null;
+    }
+
+    getTenants() {
+        return Array.from(this.tenants.values());
+    }
+
+    // Datos públicos del tenant (sin servicios)
+    describeTenant(tenant) {
+        return {
+            id: tenant.id,
+            name: tenant.name,
+            impersonate_user_email: tenant.impersonate_user_email,
+            domain_admin_access: tenant.googleDriveService.domainAdminAccess,
+            initialized: tenant.error === null,
+            error: tenant.error,
+            is_running: tenant.syncService.isRunning
+        };
+    }
+}
+
+const tenantManager = new TenantManager();
+
+module.exports = tenantManager;
@@ -0,0 +1,111 @@
+const { UTILS } = require('./config');
+
+// Pool de trabajadores con concurrencia acotada y ajuste adaptativo (AIMD):
+// ante nuevas respuestas de rate limit la concurrencia se reduce a la mitad y,
+// tras una racha de tareas sin ellas, vuelve a crecer de uno en uno hasta el máximo.
+class AdaptiveWorkerPool {
+    constructor(options = {}) {
+        this.name = options.name || 'pool';
+        this.maxConcurrency = Math.max(1, parseInt(options.concurrency) || 1);
+        this.concurrency = this.maxConcurrency;
+        this.active = 0;
+        this.queue = [];
+
+        // Función que devuelve un contador creciente de respuestas de rate limit
+        this.getRateLimitCount = options.getRateLimitCount || null;
+        this.lastRateLimitCount = this.getRateLimitCount ? this.getRateLimitCount() : 0;
+        this.successStreak = 0;
+
+        this.stats = {
+            max_concurrency: this.maxConcurrency,
+            min_concurrency: this.maxConcurrency,
+            decreases: 0,
+            increases: 0
+        };
+    }
+
+    // Ejecutar una tarea cuando haya un hueco libre; permite usar el pool como limitador
+    // compartido entre varios productores (por ejemplo, escrituras a Firestore)
+    execute(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.adjustConcurrency();
+                    this.drain();
+                });
+        }
+    }
+
+    // Ejecutar worker(item, index) para cada elemento respetando la concurrencia actual.
+    // Devuelve los resultados en el orden de entrada; si un worker lanza, no se inicia
+    // trabajo nuevo y se rechaza cuando terminan las tareas en curso.
+    async run(items, worker) {
+        let failure = null;
+
+        const results = await Promise.all(items.map((item, index) => this.execute(() => {
+            if (failure) return undefined;
+            return worker(item, index);
+        }).catch(error => {
+            failure = failure || error;
+        })));
+
+        if (failure) {
+            throw failure;
+        }
+        return results;
+    }
+
+    adjustConcurrency() {
+        if (!this.getRateLimitCount) {
+            return;
+        }
+
+        const rateLimitCount = this.getRateLimitCount();
+
+        if (rateLimitCount > this.lastRateLimitCount) {
+            this.lastRateLimitCount = rateLimitCount;
+            this.successStreak = 0;
+
+            const reduced = Math.max(1, Math.floor(this.concurrency / 2));
+            if (reduced < this.concurrency) {
+                this.concurrency = reduced;
+                this.stats.decreases++;
+                this.stats.min_concurrency = Math.min(this.stats.min_concurrency, reduced);
+                UTILS.log('warn', `[${this.name}] Rate limit detectado, concurrencia reducida a ${this.concurrency}`);
+            }
+            return;
+        }
+
+        if (this.concurrency < this.maxConcurrency) {
+            this.successStreak++;
+            if (this.successStreak >= this.concurrency) {
+                this.concurrency++;
+                this.successStreak = 0;
+                this.stats.increases++;
+                UTILS.log('debug', `[${this.name}] Concurrencia aumentada a ${this.concurrency}`);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            final_concurrency: this.concurrency
+        };
+    }
+}
+
+module.exports = AdaptiveWorkerPool;